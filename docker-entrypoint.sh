@@ -4,12 +4,14 @@ set -e
 # 将环境变量转换为 Wrangler 的本地变量文件 (.dev.vars)
 # 这是为了让 wrangler dev 在 Docker 容器中能读取到 docker run -e 传入的变量
 echo "# Auto-generated by docker-entrypoint.sh" > .dev.vars
+# 运行环境标记：Worker 据此判断 CF-Connecting-IP 是否可信 (见 TRUSTED_PROXY_HEADER)
+echo "EPG_RUNTIME=\"docker\"" >> .dev.vars
 
-# 1. 处理必填项 EPG_URL
-if [ -z "$EPG_URL" ]; then
-    echo "Error: EPG_URL environment variable is required."
+# 1. 处理必填项 EPG_URL (配置了多源列表 EPG_URLS 时可省略)
+if [ -z "$EPG_URL" ] && [ -z "$EPG_URLS" ]; then
+    echo "Error: EPG_URL (or EPG_URLS) environment variable is required."
     exit 1
-else
+elif [ -n "$EPG_URL" ]; then
     echo "EPG_URL=\"$EPG_URL\"" >> .dev.vars
 fi
 
@@ -22,17 +24,86 @@ OPTIONAL_VARS=(
   "MAX_MEMORY_CACHE_CHARS"
   "MAX_SOURCE_SIZE_BYTES"
   "ERROR_COOLDOWN_MS"
+  "EPG_TIMEZONE"
+  "EPG_URLS"
+  "DOWNLOAD_MERGE"
+  "CHANNEL_ALIASES"
+  "CHANNEL_ALIASES_URL"
+  "LOGO_PROXY"
+  "LOGO_CACHE_TTL"
+  "EPG_LANG"
+  "EPG_SCRIPT"
+  "ADMIN_TOKEN"
+  "API_KEYS"
+  "RATE_LIMIT"
+  "RATE_LIMIT_WINDOW"
+  "CORS_ORIGINS"
+  "TRUSTED_PROXY_HEADER"
+  "PLAYLIST_HOSTS"
 )
 
+# 2.1 处理挂载的别名文件 CHANNEL_ALIASES_FILE
+# Worker 运行时无法读取容器文件系统，因此在启动时读入文件，合并到 CHANNEL_ALIASES 变量中
+# (同名标准频道的别名取并集；修改文件后重启容器即可生效)
+if [ -n "$CHANNEL_ALIASES_FILE" ]; then
+    if [ -f "$CHANNEL_ALIASES_FILE" ]; then
+        if MERGED_ALIASES=$(node -e '
+            const fs = require("fs");
+            const fromFile = JSON.parse(fs.readFileSync(process.argv[1], "utf8"));
+            const fromEnv = process.env.CHANNEL_ALIASES ? JSON.parse(process.env.CHANNEL_ALIASES) : {};
+            const merged = { ...fromFile };
+            for (const [name, aliases] of Object.entries(fromEnv)) {
+                merged[name] = [...new Set([...(merged[name] || []), ...aliases])];
+            }
+            process.stdout.write(JSON.stringify(merged));
+        ' "$CHANNEL_ALIASES_FILE"); then
+            export CHANNEL_ALIASES="$MERGED_ALIASES"
+            echo "Loaded channel aliases from $CHANNEL_ALIASES_FILE"
+        else
+            echo "Warning: failed to parse $CHANNEL_ALIASES_FILE, ignored."
+        fi
+    else
+        echo "Warning: CHANNEL_ALIASES_FILE $CHANNEL_ALIASES_FILE not found, ignored."
+    fi
+fi
+
 # 循环检查并写入
 for var_name in "${OPTIONAL_VARS[@]}"; do
     var_value="${!var_name}" # 间接引用获取变量值
     if [ -n "$var_value" ]; then
-        echo "$var_name=\"$var_value\"" >> .dev.vars
+        # 值中含双引号 (如 JSON 配置) 时改用单引号包裹
+        if [[ "$var_value" == *\"* ]]; then
+            echo "$var_name='$var_value'" >> .dev.vars
+        else
+            echo "$var_name=\"$var_value\"" >> .dev.vars
+        fi
         echo "Imported config: $var_name"
     fi
 done
 
+# 3. 定时预取 (Docker 环境没有 Cron Trigger)
+# 按 REFRESH_INTERVAL (秒) 定时请求 Worker 的 /__prefetch 接口；启动后稍等片刻先执行一次，用于预热缓存。设为 0 可关闭
+# 接口令牌在每次启动时随机生成，只写入 .dev.vars，外部客户端无法触发预取
+REFRESH_INTERVAL="${REFRESH_INTERVAL:-1800}"
+if [[ "$REFRESH_INTERVAL" =~ ^[0-9]+$ ]] && [ "$REFRESH_INTERVAL" -gt 0 ]; then
+    PREFETCH_TOKEN=$(node -e 'process.stdout.write(require("crypto").randomBytes(24).toString("hex"))')
+    echo "PREFETCH_TOKEN=\"$PREFETCH_TOKEN\"" >> .dev.vars
+    export PREFETCH_TOKEN
+    (
+        sleep 30
+        while true; do
+            # 镜像中没有 curl，使用 Node.js 自带的 fetch
+            node -e '
+                fetch(process.argv[1], { method: "POST", headers: { Authorization: `Bearer ${process.env.PREFETCH_TOKEN}` } })
+                    .then(res => process.exit(res.ok ? 0 : 1))
+                    .catch(() => process.exit(1));
+            ' "http://127.0.0.1:8787/__prefetch?trigger=interval" || echo "Warning: scheduled refresh request failed."
+            sleep "$REFRESH_INTERVAL"
+        done
+    ) &
+    echo "Scheduled refresh enabled: every ${REFRESH_INTERVAL}s"
+fi
+
 echo "✅ Environment configured. Starting Worker..."
 
 # 执行传入的命令 (即 Dockerfile 中的 CMD)
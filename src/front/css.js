@@ -98,6 +98,27 @@ export const CSS_STYLES = `
   .status-label { color: var(--text-muted); }
   .status-value { font-family: monospace; font-weight: 600; color: var(--primary); }
 
+  /* === 管理操作按钮 (v5.7 新增，仅配置 ADMIN_TOKEN 时显示) === */
+  .admin-actions {
+      display: flex;
+      gap: 6px;
+      margin-top: 8px;
+      padding-top: 8px;
+      border-top: 1px dashed var(--border);
+  }
+  .admin-actions button {
+      flex: 1;
+      font-size: 0.75rem;
+      padding: 4px 6px;
+      border: 1px solid var(--border);
+      border-radius: 4px;
+      background: var(--bg);
+      color: var(--text);
+      cursor: pointer;
+  }
+  .admin-actions button:hover { border-color: var(--primary); color: var(--primary); }
+  .admin-actions button:disabled { opacity: 0.6; cursor: wait; }
+
   p { color: var(--text-muted); margin-bottom: 1.5rem; }
   .card { border: 1px solid var(--border); border-radius: 8px; padding: 1.5rem; margin-bottom: 1.5rem; background: var(--bg); }
   .card h3 { margin-top: 0; font-size: 1.1rem; color: var(--text); margin-bottom: 0.5rem; }
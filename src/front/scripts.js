@@ -3,6 +3,7 @@
  * 前端交互脚本模块
  * 定义页面所需的 JavaScript 逻辑 (如点击复制功能)
  * [v2.6 优化] 增加非安全上下文(HTTP)下的复制兼容性支持
+ * [v5.7] 状态面板的管理操作按钮 (调用 /admin/* 接口)
  */
 export const CLIENT_SCRIPTS = `
 <script>
@@ -64,5 +65,36 @@ export const CLIENT_SCRIPTS = `
       alert('复制失败，请手动复制:\\n' + text);
     });
   }
+
+  /**
+   * [v5.7] 调用管理接口：首次使用时输入 ADMIN_TOKEN，保存在当前标签页 (sessionStorage)
+   */
+  function adminAction(button, path, body) {
+    var token = sessionStorage.getItem('epgAdminToken') || prompt('请输入管理令牌 (ADMIN_TOKEN)');
+    if (!token) return;
+
+    button.disabled = true;
+    fetch(path, {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer ' + token, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body || {})
+    }).then(function (res) {
+      return res.json().then(function (data) {
+        if (res.status === 401) {
+          sessionStorage.removeItem('epgAdminToken');
+          throw new Error('令牌错误');
+        }
+        sessionStorage.setItem('epgAdminToken', token);
+        var failed = (data.results || []).filter(function (r) { return r.status === 'failed'; });
+        var detail = failed.map(function (r) { return '\\n' + r.name + ': ' + r.error; }).join('');
+        alert((data.message || ('HTTP ' + res.status)) + detail);
+        location.reload();
+      });
+    }).catch(function (err) {
+      alert('操作失败: ' + err.message);
+    }).finally(function () {
+      button.disabled = false;
+    });
+  }
 </script>
 `;
@@ -2,6 +2,12 @@
 /**
  * 页面内容模板模块
  * [v3.3 更新] 文案通用化，适配 Docker 和 Cloudflare 双环境
+ * [v3.9] 状态面板按数据源列表逐行渲染，支持任意数量的源
+ * [v5.4] 状态面板展示最近一次定时预取结果
+ * [v5.5] 状态面板改为由结构化状态数据 (与 /api/status 相同) 渲染
+ * [v5.7] 配置 ADMIN_TOKEN 时状态面板显示管理操作按钮 (强制刷新 / 重置熔断 / 清除缓存)
+ * [v5.8] 配置 API_KEYS 时提示在地址后附加访问密钥
+ * [v5.9] 数据源最近一次回源为 304 时标注「未变更」
  */
 
 import { renderPage } from './layout.js';
@@ -36,7 +42,7 @@ export function getSetupGuideHTML() {
                 <code>EPG_URL</code>
                 <div class="status">✅ 已复制</div>
             </div>
-            <p class="desc" style="margin-top: 5px; font-size: 0.85rem;">您的主 EPG 文件直连地址 (支持 .xml 或 .xml.gz)</p>
+            <p class="desc" style="margin-top: 5px; font-size: 0.85rem;">您的主 EPG 文件直连地址 (支持 .xml 或 .xml.gz)；若已配置 EPG_URLS 可省略</p>
 
             <div class="sub-label">
                 <span>2. 备用源地址变量名</span>
@@ -49,7 +55,17 @@ export function getSetupGuideHTML() {
             <p class="desc" style="margin-top: 5px; font-size: 0.85rem;">主源查询失败时自动切换的备用地址</p>
 
             <div class="sub-label">
-                <span>3. 缓存时间变量名</span>
+                <span>3. 多源列表变量名</span>
+                <span class="tag optional">可选</span>
+            </div>
+            <div class="code-box" onclick="copyText(this, 'EPG_URLS')">
+                <code>EPG_URLS</code>
+                <div class="status">✅ 已复制</div>
+            </div>
+            <p class="desc" style="margin-top: 5px; font-size: 0.85rem;">多个 EPG 地址 (换行/逗号分隔，或 JSON 数组)，按顺序作为优先级，可替代上面两个变量</p>
+
+            <div class="sub-label">
+                <span>4. 缓存时间变量名</span>
                 <span class="tag optional">可选</span>
             </div>
             <div class="code-box" onclick="copyText(this, 'CACHE_TTL')">
@@ -71,7 +87,7 @@ export function getSetupGuideHTML() {
  * 生成使用说明页面 (主页)
  * [v3.3] 优化状态面板文案，去除 "Edge Cache" 这种 Cloudflare 专用术语
  */
-export function getUsageHTML(baseUrl, env, updateTimes) {
+export function getUsageHTML(baseUrl, env, sourceStatus, prefetch = null) {
   // 获取当前北京时间
   const now = new Date();
   const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
@@ -92,32 +108,65 @@ export function getUsageHTML(baseUrl, env, updateTimes) {
   const gzUrl = `${baseUrl}epg/epg.xml.gz`;
 
   // [v3.0] 判断是否有备用源
-  const hasBackup = !!env.EPG_URL_BACKUP;
+  // [v3.9] sourceStatus 为全部数据源的状态列表，按优先级排序 (见 logic.js 的 getSourceStatus)
+  const hasBackup = sourceStatus.length > 1;
 
   // [v3.0] 动态文案
-  const descriptionText = hasBackup
-    ? "配置加载成功，主备双源模式就绪。点击下方链接即可复制。"
-    : "配置加载成功，当前未设置备用源，将采用单源模式运行。点击下方链接即可复制。";
+  let descriptionText = "配置加载成功，当前未设置备用源，将采用单源模式运行。点击下方链接即可复制。";
+  if (sourceStatus.length > 2) {
+    descriptionText = `配置加载成功，${sourceStatus.length} 个数据源按优先级就绪。点击下方链接即可复制。`;
+  } else if (hasBackup) {
+    descriptionText = "配置加载成功，主备双源模式就绪。点击下方链接即可复制。";
+  }
+  if (env.API_KEYS) {
+    descriptionText += " 已启用访问密钥，请在地址后附加 <code>key=你的密钥</code> 参数。";
+  }
 
-  const downloadNote = hasBackup ? "（仅主源）" : "";
+  // [v4.0] 多源时额外展示合并下载地址 (merge=1)
+  const mergeEnabled = hasBackup && env.DOWNLOAD_MERGE === 'true';
+  const downloadNote = hasBackup ? (mergeEnabled ? "（多源合并）" : "（仅主源）") : "";
+  const mergeBox = (downloadUrl) => (hasBackup && !mergeEnabled) ? `
+            <div class="sub-label">
+                <span>合并全部数据源</span>
+                <span class="badge">多源</span>
+            </div>
+            <div class="code-box" onclick="copyText(this, '${downloadUrl}?merge=1')">
+                <code>${downloadUrl}?merge=1</code>
+                <div class="status">✅ 已复制</div>
+            </div>` : "";
 
   // [v3.3] 通用化状态面板，不再强调“边缘缓存”
   let statusPanelHTML = `
     <div class="status-panel">
-      <span class="status-title">数据源状态 (Source Status)</span>
+      <span class="status-title">数据源状态 (Source Status)</span>`;
+  
+  for (const source of sourceStatus) {
+    statusPanelHTML += `
       <div class="status-row">
-        <span class="status-label">主源</span>
-        <span class="status-value">${updateTimes.main}</span>
+        <span class="status-label">${source.name}</span>
+        <span class="status-value">${formatSourceStatus(source)}</span>
       </div>`;
-  
-  if (hasBackup) {
+  }
+
+  // [v5.4] 最近一次定时预取 (未配置或尚未触发时不显示)
+  if (prefetch) {
     statusPanelHTML += `
       <div class="status-row">
-        <span class="status-label">备用源</span>
-        <span class="status-value">${updateTimes.backup}</span>
+        <span class="status-label">定时预取</span>
+        <span class="status-value">${formatPrefetchStatus(prefetch)}</span>
       </div>`;
   }
   
+  // [v5.7] 管理操作 (需要令牌，点击时输入)
+  if (env.ADMIN_TOKEN) {
+    statusPanelHTML += `
+      <div class="admin-actions">
+        <button type="button" onclick="adminAction(this, '/admin/refresh')" title="立即重新下载全部数据源">强制刷新</button>
+        <button type="button" onclick="adminAction(this, '/admin/purge', { target: 'breaker' })" title="解除失败后的冷却期">重置熔断</button>
+        <button type="button" onclick="adminAction(this, '/admin/purge', { target: 'all' })" title="清除数据源缓存与接口响应缓存">清除缓存</button>
+      </div>`;
+  }
+
   // [v3.3] 通用化注释，解释两种状态来源
   statusPanelHTML += `
       <div style="margin-top:8px; font-size:0.7rem; color:#94a3b8; border-top:1px dashed var(--border); padding-top:4px;">
@@ -188,7 +237,7 @@ export function getUsageHTML(baseUrl, env, updateTimes) {
             <div class="code-box" onclick="copyText(this, '${xmlUrl}')">
                 <code>${xmlUrl}</code>
                 <div class="status">✅ 已复制</div>
-            </div>
+            </div>${mergeBox(xmlUrl)}
         </div>
         
         <div class="card">
@@ -197,9 +246,50 @@ export function getUsageHTML(baseUrl, env, updateTimes) {
             <div class="code-box" onclick="copyText(this, '${gzUrl}')">
                 <code>${gzUrl}</code>
                 <div class="status">✅ 已复制</div>
-            </div>
+            </div>${mergeBox(gzUrl)}
         </div>`;
 
   const footerExtra = `Server Time: ${beijingTime.toLocaleString('zh-CN')}`;
   return renderPage(title, content, footerExtra);
-}
\ No newline at end of file
+}
+
+/**
+ * [v5.5] 单个数据源的状态文字：失败信息优先，其次为数据来源 (内存 / 边缘缓存)
+ */
+function formatSourceStatus(source) {
+  if (source.last_error) {
+    return `${formatStatusTime(source.last_error.time)} <span style="color:red;font-size:0.8em">(${source.last_error.message})</span>`;
+  }
+  const notModified = source.not_modified ? ', 未变更' : '';
+  if (source.origin === 'memory') {
+    return `${formatStatusTime(source.fetch_time)} <span style="color:green;font-size:0.8em">(Memory${notModified})</span>`;
+  }
+  if (source.origin === 'edge' && source.fetch_time) {
+    return `${formatStatusTime(source.fetch_time)} <span style="color:green;font-size:0.8em">(Edge Cache${notModified})</span>`;
+  }
+  return "等待调用";
+}
+
+/**
+ * [v5.4] 定时预取摘要：列出失败的数据源
+ */
+function formatPrefetchStatus(prefetch) {
+  const timeStr = formatStatusTime(prefetch.time);
+  const failed = prefetch.results.filter(r => r.status === 'failed');
+  if (failed.length > 0) {
+    const detail = failed.map(r => `${r.name}: ${r.error}`).join('; ');
+    return `${timeStr} <span style="color:red;font-size:0.8em">(${failed.length}/${prefetch.results.length} 失败: ${detail})</span>`;
+  }
+  return `${timeStr} <span style="color:green;font-size:0.8em">(${prefetch.results.length} 个源正常)</span>`;
+}
+
+function formatStatusTime(ts) {
+  if (!ts) return "等待更新";
+  const date = new Date(ts);
+  return date.toLocaleString('zh-CN', {
+      timeZone: 'Asia/Shanghai',
+      hour12: false,
+      month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+}
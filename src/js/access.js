@@ -0,0 +1,204 @@
+// 文件路径: src/js/access.js
+/**
+ * 访问控制模块
+ * [v5.8] 均为可选功能，未配置时行为与之前完全一致：
+ * - API_KEYS: 访问密钥，通过 key 参数 / X-API-Key 头 / Authorization: Bearer 携带，可为每个密钥设置名称与单独的限流
+ * - RATE_LIMIT / RATE_LIMIT_WINDOW: 按客户端 (密钥名称或 IP) 的固定窗口限流，超出时返回 429
+ * - CORS_ORIGINS: 跨域来源白名单，替代固定的 Access-Control-Allow-Origin: *
+ * 限流计数保存在当前节点 (Worker isolate / Docker 进程) 内存中
+ */
+
+import { CORS_HEADERS } from './logic.js';
+import { safeEqual } from './utils.js';
+
+// 请求中携带访问密钥的参数名与请求头
+const API_KEY_PARAM = 'key';
+const API_KEY_HEADER = 'X-API-Key';
+
+const DEFAULT_RATE_LIMIT_WINDOW = 60;
+// 限流计数表条目上限，超过时清理已过期的窗口
+const MAX_RATE_LIMIT_ENTRIES = 10000;
+
+// 需要访问密钥的路由：全部数据接口、状态与指标接口
+// 台标除外 (播放器无法为 XML / JSON 中的台标地址附带密钥)；首页、/healthz 与管理接口 (使用 ADMIN_TOKEN) 不校验
+const PROTECTED_PREFIXES = ['/epg/', '/api/'];
+const PROTECTED_ROUTES = new Set(['/metrics']);
+const UNPROTECTED_PREFIXES = ['/epg/logo/'];
+// 不参与限流的路由
+const UNLIMITED_ROUTES = new Set(['/healthz']);
+
+// 客户端标识 -> { count, resetTime }
+const RATE_LIMIT_MAP = new Map();
+// API_KEYS 解析结果 (按原始配置缓存)
+let KEY_CACHE = { raw: null, keys: [] };
+
+/**
+ * 解析 API_KEYS
+ * 支持两种写法：
+ * 1. 纯文本：多个条目以换行、逗号或空格分隔，条目为 `密钥` 或 `名称:密钥`
+ * 2. JSON 数组：元素可以是密钥字符串，或 { key, label, rate_limit } 对象 (rate_limit 覆盖全局 RATE_LIMIT，0 表示不限)
+ * @returns {Array<{key: string, label: string, rateLimit: number|null}>}
+ */
+export function parseApiKeys(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return [];
+
+  let entries;
+  if (text.startsWith('[')) {
+    try {
+      const list = JSON.parse(text);
+      entries = Array.isArray(list) ? list.map(item => (typeof item === 'string' ? { key: item } : item)) : [];
+    } catch (e) {
+      console.error("API_KEYS JSON parse error:", e.message);
+      entries = [];
+    }
+  } else {
+    entries = text.split(/[\s,]+/).filter(Boolean).map(item => {
+      const pos = item.lastIndexOf(':');
+      return pos > 0 ? { label: item.slice(0, pos), key: item.slice(pos + 1) } : { key: item };
+    });
+  }
+
+  return entries
+    .filter(item => item && typeof item.key === 'string' && item.key.trim())
+    .map((item, i) => {
+      const rateLimit = parseInt(item.rate_limit);
+      return {
+        key: item.key.trim(),
+        label: String(item.label || `key${i + 1}`),
+        rateLimit: Number.isNaN(rateLimit) ? null : rateLimit
+      };
+    });
+}
+
+function getApiKeys(env) {
+  if (KEY_CACHE.raw !== env.API_KEYS) {
+    KEY_CACHE = { raw: env.API_KEYS, keys: parseApiKeys(env.API_KEYS) };
+  }
+  return KEY_CACHE.keys;
+}
+
+/**
+ * 访问检查：校验访问密钥并限流
+ * @param {string} path 归一化后的路径
+ * @returns {Response|null} 拒绝时返回 401 / 429 响应，放行时返回 null
+ */
+export function checkAccess(request, url, path, env) {
+  if (request.method === 'OPTIONS') return null;
+
+  let client = null;
+  let rateLimit = parseInt(env.RATE_LIMIT) || 0;
+
+  const keys = getApiKeys(env);
+  if (keys.length > 0 && isProtectedRoute(path)) {
+    const provided = getProvidedKey(request, url);
+    // 逐个比较全部密钥 (不提前结束)，耗时与命中哪个密钥无关
+    let matched = null;
+    for (const entry of keys) {
+      if (provided && safeEqual(provided, entry.key) && !matched) matched = entry;
+    }
+    if (!matched) {
+      return errorResponse(401, provided ? "Invalid API key" : `Missing API key (use ?${API_KEY_PARAM}= or ${API_KEY_HEADER} header)`, {
+        'WWW-Authenticate': 'Bearer'
+      });
+    }
+    client = `key:${matched.label}`;
+    if (matched.rateLimit !== null) rateLimit = matched.rateLimit;
+  }
+
+  // 两种运行环境都会提供连接地址，取不到 IP 只可能出现在其他运行时中，此时不限流，避免全部客户端共用一个计数
+  if (!client) {
+    const ip = getClientIp(request, env);
+    if (ip) client = `ip:${ip}`;
+  }
+
+  if (client && rateLimit > 0 && !UNLIMITED_ROUTES.has(path)) {
+    const windowSeconds = parseInt(env.RATE_LIMIT_WINDOW) || DEFAULT_RATE_LIMIT_WINDOW;
+    const result = consumeRateLimit(client, rateLimit, windowSeconds);
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil((result.resetTime - Date.now()) / 1000));
+      return errorResponse(429, `Too many requests, retry after ${retryAfter}s`, {
+        'Retry-After': String(retryAfter),
+        'X-RateLimit-Limit': String(rateLimit),
+        'X-RateLimit-Remaining': '0',
+        'X-RateLimit-Reset': String(Math.ceil(result.resetTime / 1000))
+      });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 按 CORS_ORIGINS 白名单改写响应的跨域头
+ * 未配置或包含 * 时保持 Access-Control-Allow-Origin: *；请求来源不在白名单内时不返回该头 (浏览器将拦截跨域读取)
+ */
+export function applyCors(request, response, env) {
+  const origins = String(env.CORS_ORIGINS || '').split(/[\s,]+/).filter(Boolean);
+  if (origins.length === 0 || origins.includes('*')) return response;
+
+  // 缓存与上游返回的响应头不可修改，复制一份
+  const result = new Response(response.body, response);
+  const origin = request.headers.get('Origin');
+  if (origin && origins.includes(origin)) {
+    result.headers.set('Access-Control-Allow-Origin', origin);
+  } else {
+    result.headers.delete('Access-Control-Allow-Origin');
+  }
+  result.headers.append('Vary', 'Origin');
+  return result;
+}
+
+function isProtectedRoute(path) {
+  if (UNPROTECTED_PREFIXES.some(prefix => path.startsWith(prefix))) return false;
+  return PROTECTED_ROUTES.has(path) || PROTECTED_PREFIXES.some(prefix => path.startsWith(prefix));
+}
+
+function getProvidedKey(request, url) {
+  const auth = request.headers.get('Authorization') || '';
+  if (auth.startsWith('Bearer ')) return auth.slice('Bearer '.length).trim();
+  return request.headers.get(API_KEY_HEADER) || url.searchParams.get(API_KEY_PARAM) || null;
+}
+
+/**
+ * 客户端 IP
+ * - Cloudflare: CF-Connecting-IP 由边缘网络写入，客户端无法伪造
+ * - Docker: wrangler dev 只在请求没有 CF-Connecting-IP 时才填入连接地址，客户端可自行携带该头伪造 IP；
+ *   位于反向代理之后时连接地址是代理的地址。因此配置了 TRUSTED_PROXY_HEADER 时取该头的最后一个地址
+ *   (由最近一跳的可信代理追加，之前的地址可由客户端伪造)，否则退回连接地址
+ * @returns {string|null}
+ */
+function getClientIp(request, env) {
+  const socketIp = request.headers.get('CF-Connecting-IP') || null;
+  if (env.EPG_RUNTIME !== 'docker' || !env.TRUSTED_PROXY_HEADER) return socketIp;
+
+  const hops = (request.headers.get(env.TRUSTED_PROXY_HEADER) || '').split(',').map(hop => hop.trim()).filter(Boolean);
+  return hops.length > 0 ? hops[hops.length - 1] : socketIp;
+}
+
+/**
+ * 固定窗口计数：窗口内第 limit 次之后的请求被拒绝
+ * @returns {{allowed: boolean, resetTime: number}}
+ */
+function consumeRateLimit(client, limit, windowSeconds) {
+  const now = Date.now();
+  let entry = RATE_LIMIT_MAP.get(client);
+  if (!entry || now >= entry.resetTime) {
+    if (RATE_LIMIT_MAP.size >= MAX_RATE_LIMIT_ENTRIES) {
+      for (const [id, item] of RATE_LIMIT_MAP) {
+        if (now >= item.resetTime) RATE_LIMIT_MAP.delete(id);
+      }
+    }
+    entry = { count: 0, resetTime: now + windowSeconds * 1000 };
+    RATE_LIMIT_MAP.set(client, entry);
+  }
+  entry.count++;
+  return { allowed: entry.count <= limit, resetTime: entry.resetTime };
+}
+
+function errorResponse(status, message, headers = {}) {
+  return new Response(JSON.stringify({ code: status, message }), {
+    status,
+    headers: { 'content-type': 'application/json; charset=utf-8', ...headers, ...CORS_HEADERS }
+  });
+}
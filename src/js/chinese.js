@@ -0,0 +1,62 @@
+// 文件路径: src/js/chinese.js
+/**
+ * 繁简转换模块
+ * [v5.3] 逐字转换 (不做词组级转换，字表见 chinese-data.js)：
+ * - foldChinese: 繁体及港台异体字统一折叠为简体，用于频道名匹配 (如「鳳凰衛視」匹配「凤凰卫视」)
+ * - convertScript: 按客户端偏好将节目标题 / 简介转换为简体或繁体输出
+ */
+
+import { TRADITIONAL_TO_SIMPLIFIED, SIMPLIFIED_TO_TRADITIONAL } from './chinese-data.js';
+
+const HAN_REGEX = /[一-鿿]/g;
+
+// 输出字形参数的可选写法
+const SCRIPT_ALIASES = {
+  hans: ['hans', 's', 'simplified', 'zh-hans', 'zh-cn', 'cn'],
+  hant: ['hant', 't', 'traditional', 'zh-hant', 'zh-tw', 'zh-hk', 'tw', 'hk']
+};
+
+// 字表按需展开为 Map (首次使用时构建一次)
+let t2s = null;
+let s2t = null;
+
+function toMap(pairs) {
+  const map = new Map();
+  for (let i = 0; i + 1 < pairs.length; i += 2) map.set(pairs[i], pairs[i + 1]);
+  return map;
+}
+
+function convertWith(text, map) {
+  return text.replace(HAN_REGEX, ch => map.get(ch) || ch);
+}
+
+/**
+ * 将文本中的繁体字折叠为简体 (用于匹配，非汉字原样保留)
+ */
+export function foldChinese(text) {
+  if (!text) return text;
+  if (!t2s) t2s = toMap(TRADITIONAL_TO_SIMPLIFIED);
+  return convertWith(text, t2s);
+}
+
+/**
+ * 解析输出字形参数
+ * @returns {'hans'|'hant'|null} 无法识别时返回 null (不转换)
+ */
+export function parseScript(raw) {
+  const value = String(raw || '').trim().toLowerCase().replace(/_/g, '-');
+  if (!value) return null;
+  return Object.keys(SCRIPT_ALIASES).find(script => SCRIPT_ALIASES[script].includes(value)) || null;
+}
+
+/**
+ * 将文本转换为指定字形
+ * @param {string} text
+ * @param {'hans'|'hant'|null} script 为 null 时原样返回
+ */
+export function convertScript(text, script) {
+  if (!text || !script) return text;
+  if (script === 'hans') return foldChinese(text);
+  if (!s2t) s2t = toMap(SIMPLIFIED_TO_TRADITIONAL);
+  return convertWith(text, s2t);
+}
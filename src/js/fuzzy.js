@@ -0,0 +1,165 @@
+// 文件路径: src/js/fuzzy.js
+/**
+ * 频道名模糊匹配模块
+ * [v5.2] 精确匹配 (含别名表) 全部失败时的兜底方案：
+ * - 名称规范化：去空格/横杠、中文数字转阿拉伯数字、「中央/央视」前缀转 CCTV、剔除 高清/频道/台 等后缀
+ * - 按编辑距离与包含关系打分排序，用于自动匹配 (高置信度) 以及 404 时给出候选频道名
+ * [v5.3] 规范化时繁体折叠为简体
+ */
+
+import { foldChinese } from './chinese.js';
+
+// 与 normalizeChannelId 相同的常见后缀 (保护 CCTV5+，不包含 +)
+export const CHANNEL_SUFFIX_REGEX = /(HD|SD|高清|超清|4K|8K|综合|频道|台|字幕|低码|分级|超高清)$/g;
+
+// 仅用于模糊比较的额外后缀 (如「央视一套」)
+const FUZZY_SUFFIX_REGEX = /(套)$/;
+const CCTV_PREFIX_REGEX = /^(中央电视台|中央台|中央|央视)/;
+// CCTV 频道号之后的中文描述 (如「CCTV-13 新闻」「CCTV5+ 体育赛事」)
+const CCTV_DESC_REGEX = /^(CCTV\d+\+?)[\u4e00-\u9fa5]+$/;
+const CHINESE_NUMERAL_REGEX = /[零〇一二两三四五六七八九十]+/g;
+const CHINESE_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const DIGITS_REGEX = /\d+/g;
+
+// 自动匹配的最低得分 (此外还要求两者的数字部分与 + 号完全一致，避免 CCTV1 误配 CCTV11 / CCTV5 误配 CCTV5+)
+const CONFIDENT_SCORE = 0.8;
+// 候选频道的最低得分，低于此值不作为建议返回
+const SUGGESTION_SCORE = 0.4;
+
+// 索引 -> 候选列表 (每个索引只计算一次)
+const CANDIDATE_CACHE = new WeakMap();
+
+/**
+ * 规范化频道名，用于模糊比较
+ * 例：「中央一台」「CCTV-1 综合」「cctv1高清」「央视一套」均规范化为 CCTV1
+ */
+export function fuzzyKey(name) {
+  let key = foldChinese(String(name || '').toUpperCase().replace(/[\s\-_·.]/g, ''));
+  key = key.replace(CCTV_PREFIX_REGEX, 'CCTV');
+  key = key.replace(CHINESE_NUMERAL_REGEX, chineseToNumber);
+  // 连续剔除后缀，如「1台高清」
+  let previous;
+  do {
+    previous = key;
+    key = key.replace(CHANNEL_SUFFIX_REGEX, '').replace(FUZZY_SUFFIX_REGEX, '');
+  } while (key && key !== previous);
+  key = key || previous;
+  return key.replace(CCTV_DESC_REGEX, '$1');
+}
+
+/**
+ * 对索引中的全部频道名打分排序
+ * @param {string} input 用户输入的频道名
+ * @param {Object} index 数据源索引 (见 parser.js)
+ * @param {number} limit 最多返回的数量
+ * @returns {Array<{id: string, name: string, score: number, confident: boolean}>} 按得分降序，同一频道只保留得分最高的名称
+ */
+export function rankChannels(input, index, limit = 5) {
+  const inputKey = fuzzyKey(input);
+  if (!inputKey) return [];
+
+  const best = new Map();
+  for (const candidate of getCandidates(index)) {
+    const score = scoreKeys(inputKey, candidate.key);
+    if (score < SUGGESTION_SCORE) continue;
+    const current = best.get(candidate.id);
+    if (!current || score > current.score) {
+      best.set(candidate.id, {
+        id: candidate.id,
+        name: candidate.name,
+        score: Math.round(score * 100) / 100,
+        confident: score === 1 || (score >= CONFIDENT_SCORE && sameSignature(inputKey, candidate.key))
+      });
+    }
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score || a.name.length - b.name.length)
+    .slice(0, limit);
+}
+
+/**
+ * 合并多个数据源的排序结果，得到候选频道名列表
+ * 规范化后相同的名称 (如不同源中的「CCTV-1 综合」与「CCTV1」) 只保留得分最高的一个
+ * @param {Array<{name: string, score: number}>} ranked 各源 rankChannels 结果的拼接
+ * @returns {string[]}
+ */
+export function collectSuggestions(ranked, limit = 5) {
+  const byKey = new Map();
+  for (const candidate of [...ranked].sort((a, b) => b.score - a.score)) {
+    const key = fuzzyKey(candidate.name);
+    if (!byKey.has(key)) byKey.set(key, candidate.name);
+  }
+  return [...byKey.values()].slice(0, limit);
+}
+
+function getCandidates(index) {
+  let candidates = CANDIDATE_CACHE.get(index);
+  if (!candidates) {
+    candidates = [];
+    for (const channel of index.channels.values()) {
+      for (const name of channel.names) {
+        candidates.push({ id: channel.id, name, key: fuzzyKey(name) });
+      }
+    }
+    CANDIDATE_CACHE.set(index, candidates);
+  }
+  return candidates;
+}
+
+/**
+ * 打分 (0~1)：规范化后相同为 1；否则取 编辑距离相似度 与 包含关系得分 的较大值
+ */
+function scoreKeys(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const longer = Math.max(a.length, b.length);
+  const shorter = Math.min(a.length, b.length);
+  let score = 1 - editDistance(a, b, longer) / longer;
+  if (a.includes(b) || b.includes(a)) {
+    score = Math.max(score, 0.5 + 0.4 * (shorter / longer));
+  }
+  return score;
+}
+
+/**
+ * 数字部分与 + 号是否一致 (CCTV5 与 CCTV5+、CCTV1 与 CCTV11 视为不同频道)
+ */
+function sameSignature(a, b) {
+  const signature = (key) => `${(key.match(DIGITS_REGEX) || []).join(',')}|${key.includes('+')}`;
+  return signature(a) === signature(b);
+}
+
+/**
+ * Levenshtein 编辑距离 (两行滚动数组)，超过 max 时提前返回 max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) >= max) return max;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      if (curr[j] < rowMin) rowMin = curr[j];
+    }
+    if (rowMin >= max) return max;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * 中文数字转阿拉伯数字 (支持 0~99 的「十」写法，其余逐位转换，如「一二」-> 12)
+ */
+function chineseToNumber(text) {
+  if (!text.includes('十')) {
+    return text.split('').map(ch => CHINESE_DIGITS[ch]).join('');
+  }
+  const parts = text.split('十');
+  const [tens, ones] = parts;
+  if (parts.length > 2 || tens.length > 1 || ones.length > 1) return text;
+  return String((tens ? CHINESE_DIGITS[tens] : 1) * 10 + (ones ? CHINESE_DIGITS[ones] : 0));
+}
@@ -5,66 +5,178 @@
  * [优化] 增加全局 OPTIONS 处理和路由路径归一化
  * [v3.0] 引入 getLastUpdateTimes 以支持前端显示
  * [v3.2] 改为异步获取状态
+ * [v3.9] 支持多数据源 (EPG_URLS)，下载接口使用优先级最高的源
+ * [v4.0] 下载接口改为接收 request/url，以支持 merge 等查询参数
+ * [v4.2] 新增频道目录接口 /epg/channels
+ * [v4.5] 新增正在播出接口 /epg/now
+ * [v4.6] 新增批量查询接口 /epg/batch
+ * [v4.8] 新增节目搜索接口 /epg/search
+ * [v4.9] 新增台标代理接口 /epg/logo/<频道>
+ * [v5.4] 新增 scheduled 处理函数 (Cron Trigger 定时预取数据源)，首页状态面板展示最近一次预取结果
+ * [v5.5] 新增状态接口 /api/status 与健康检查 /healthz；首页状态面板与其使用同一份状态数据
+ * [v5.6] 新增指标接口 /metrics；每个请求按 路由/方法/状态码 计数
+ * [v5.7] 新增管理接口 /admin/refresh、/admin/purge (需 ADMIN_TOKEN)
+ * [v5.8] 路由分发前进行访问密钥校验与限流，响应的跨域头按 CORS_ORIGINS 改写 (见 access.js)
  */
 
 // 引入 CORS_HEADERS 常量和新的时间获取函数
-import { handleDiyp, handleDownload, CORS_HEADERS, getLastUpdateTimes } from './logic.js';
+import { handleDiyp, handleDownload, handleChannels, handleNow, handleBatch, handleSearch, handleLogo, handleStatus, handleHealth, handleMetrics, handleAdminRefresh, handleAdminPurge, handlePrefetch, refreshSources, CORS_HEADERS, getSourceStatus, getPrefetchStatus } from './logic.js';
+import { getSources } from './sources.js';
+import { incCounter } from './metrics.js';
+import { checkAccess, applyCors } from './access.js';
 import { getSetupGuideHTML, getUsageHTML } from '../front/templates.js';
 
+// [v5.6] 指标中的 route 标签只取已知路由，避免任意路径造成标签基数膨胀
+const KNOWN_ROUTES = new Set([
+  '/epg/diyp', '/epg/epginfo', '/epg/channels', '/epg/now', '/epg/batch', '/epg/search',
+  '/epg/epg.xml', '/epg/epg.xml.gz', '/api/status', '/healthz', '/metrics', '/admin/refresh', '/admin/purge', '/__prefetch'
+]);
+
+function getRouteLabel(path) {
+  if (path.startsWith('/epg/logo/')) return '/epg/logo';
+  return KNOWN_ROUTES.has(path) ? path : '/';
+}
+
+// method 标签同理，其他方法统一记为 OTHER
+const KNOWN_METHODS = new Set(['GET', 'HEAD', 'POST', 'OPTIONS']);
+
+function getMethodLabel(method) {
+  return KNOWN_METHODS.has(method) ? method : 'OTHER';
+}
+
+// [优化 v2.3] 路径归一化：使用正则移除末尾所有的斜杠
+// 例如 "/epg/diyp/" 或 "/epg/diyp//" 都会变成 "/epg/diyp"
+function normalizePath(pathname) {
+  return pathname === '/' ? '/' : pathname.replace(/\/+$/, '');
+}
+
 export default {
   async fetch(request, env, ctx) {
-    // [优化] 全局处理 CORS 预检请求 (OPTIONS)
-    // 浏览器在跨域请求前会发送 OPTIONS，必须直接返回 200 和 CORS 头
-    if (request.method === 'OPTIONS') {
-      return new Response(null, {
-        status: 200,
-        headers: CORS_HEADERS
-      });
-    }
-
     const url = new URL(request.url);
+    const path = normalizePath(url.pathname);
+
+    // [v5.8] 访问密钥与限流 (未配置时直接放行)；跨域头在最后统一按白名单改写
+    const denied = checkAccess(request, url, path, env);
+    const response = applyCors(request, denied || await handleRequest(request, env, ctx), env);
+    incCounter('epg_requests_total', {
+      route: getRouteLabel(path),
+      method: getMethodLabel(request.method),
+      status: String(response.status)
+    });
+    return response;
+  },
+
+  // [v5.4] 定时预取：Cloudflare 由 wrangler.toml 中的 Cron Trigger 触发；
+  // Docker 中由入口脚本携带启动时生成的令牌定时请求 /__prefetch 触发 (见 handlePrefetch)
+  async scheduled(event, env, ctx) {
+    if (getSources(env).length === 0) return;
+    ctx.waitUntil(refreshSources(ctx, env, event.cron || 'cron'));
+  },
+};
+
+/**
+ * 路由分发 (原 fetch 处理逻辑)
+ */
+async function handleRequest(request, env, ctx) {
+  // [优化] 全局处理 CORS 预检请求 (OPTIONS)
+  // 浏览器在跨域请求前会发送 OPTIONS，必须直接返回 200 和 CORS 头
+  if (request.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 200,
+      headers: CORS_HEADERS
+    });
+  }
+
+  const url = new URL(request.url);
 
-    // 1. 检查是否配置了主 EPG_URL
-    if (!env.EPG_URL) {
-      return new Response(getSetupGuideHTML(), {
-        headers: { "Content-Type": "text/html; charset=utf-8" },
-      });
+  // [v5.5] 健康检查不受「未配置」引导页影响：未配置数据源时同样返回 503
+  if (url.pathname === '/healthz') {
+    return handleHealth(request, url, ctx, env);
+  }
+
+  // [v5.6] 指标接口同样不受引导页影响，便于监控系统在配置前即可接入
+  if (url.pathname === '/metrics') {
+    return handleMetrics(request, url, ctx, env);
+  }
+
+  // 1. 检查是否配置了至少一个数据源 (EPG_URL 或 EPG_URLS)
+  const sources = getSources(env);
+  if (sources.length === 0) {
+    return new Response(getSetupGuideHTML(), {
+      headers: { "Content-Type": "text/html; charset=utf-8" },
+    });
+  }
+
+  const normalizedPath = normalizePath(url.pathname);
+
+  // 各处理函数均使用 return await，使异步处理中抛出的异常由下方 catch 转为 500 响应
+  try {
+    // [v4.9] 台标代理：频道名作为路径的一部分，不能用 switch 精确匹配
+    if (normalizedPath.startsWith('/epg/logo/')) {
+      return await handleLogo(request, url, ctx, env, normalizedPath.slice('/epg/logo/'.length));
     }
 
-    // [优化 v2.3] 路径归一化：使用正则移除末尾所有的斜杠
-    // 例如 "/epg/diyp/" 或 "/epg/diyp//" 都会变成 "/epg/diyp"
-    const normalizedPath = url.pathname === '/' ? '/' : url.pathname.replace(/\/+$/, '');
-
-    try {
-      // 2. 路由分发
-      switch (normalizedPath) {
-        // DIYP 接口
-        case '/epg/diyp':
-          return handleDiyp(request, url, ctx, env);
-
-        // 超级直播接口
-        case '/epg/epginfo':
-          return handleDiyp(request, url, ctx, env);
-          
-        case '/epg/epg.xml':
-          // XML 下载
-          return handleDownload(ctx, 'xml', env.EPG_URL, env);
-          
-        case '/epg/epg.xml.gz':
-          // GZ 下载
-          return handleDownload(ctx, 'gz', env.EPG_URL, env);
-          
-        default:
-          // 默认首页
-          // [v3.0] 传递 env 和时间信息给前端模板
-          // [v3.2] await 异步获取
-          const updateTimes = await getLastUpdateTimes(env);
-          return new Response(getUsageHTML(request.url, env, updateTimes), {
-             headers: { "Content-Type": "text/html; charset=utf-8" }
-          });
-      }
-    } catch (e) {
-      return new Response(`Server Error: ${e.message}`, { status: 500 });
+    // 2. 路由分发
+    switch (normalizedPath) {
+      // DIYP 接口
+      case '/epg/diyp':
+        return await handleDiyp(request, url, ctx, env);
+
+      // 超级直播接口
+      case '/epg/epginfo':
+        return await handleDiyp(request, url, ctx, env);
+        
+      // 频道目录
+      case '/epg/channels':
+        return await handleChannels(request, url, ctx, env);
+
+      case '/epg/now':
+        // 正在播出 / 即将播出
+        return await handleNow(request, url, ctx, env);
+
+      case '/epg/batch':
+        // 批量查询 (GET 频道列表 / POST JSON)
+        return await handleBatch(request, url, ctx, env);
+
+      case '/epg/search':
+        // 节目搜索
+        return await handleSearch(request, url, ctx, env);
+
+      case '/api/status':
+        // 数据源状态 (JSON)
+        return await handleStatus(request, url, ctx, env);
+
+      case '/admin/refresh':
+        // 管理接口：强制刷新数据源 (POST + ADMIN_TOKEN)
+        return await handleAdminRefresh(request, url, ctx, env);
+
+      case '/admin/purge':
+        // 管理接口：清除缓存 / 重置熔断 (POST + ADMIN_TOKEN)
+        return await handleAdminPurge(request, url, ctx, env);
+
+      case '/__prefetch':
+        // Docker 定时预取 (POST + 入口脚本生成的 PREFETCH_TOKEN)
+        return await handlePrefetch(request, url, ctx, env);
+
+      case '/epg/epg.xml':
+        // XML 下载
+        return await handleDownload(request, url, ctx, env, 'xml');
+        
+      case '/epg/epg.xml.gz':
+        // GZ 下载
+        return await handleDownload(request, url, ctx, env, 'gz');
+        
+      default:
+        // 默认首页
+        // [v3.0] 传递 env 和时间信息给前端模板
+        // [v3.2] await 异步获取
+        // [v5.5] 状态面板与 /api/status 使用同一份数据
+        const sourceStatus = await getSourceStatus(env);
+        return new Response(getUsageHTML(request.url, env, sourceStatus, getPrefetchStatus()), {
+           headers: { "Content-Type": "text/html; charset=utf-8" }
+        });
     }
-  },
-};
\ No newline at end of file
+  } catch (e) {
+    return new Response(`Server Error: ${e.message}`, { status: 500 });
+  }
+}
\ No newline at end of file
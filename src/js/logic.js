@@ -3,9 +3,43 @@
  * 核心业务逻辑模块
  * 处理 EPG 下载、流式传输、缓存以及 DIYP 接口逻辑
  * [v3.5 增强] 集成频道名称归一化逻辑，支持自定义映射表
+ * [v3.6] 内存缓存改为存放预构建索引 (见 parser.js)，查询不再扫描原始 XML
+ * [v3.7] 节目时间按源中偏移解析，并按 EPG_TIMEZONE 输出与划分日期
+ * [v3.9] 支持任意数量的数据源 (见 sources.js)，按优先级依次查询，可单独设置 TTL/超时
+ * [v4.0] XML/GZ 下载支持多源合并输出 (见 merge.js)
+ * [v4.1] 别名表拆分至 aliases.js，支持运行时从环境变量 / 远程 JSON 加载
+ * [v4.2] 新增频道目录接口 /epg/channels
+ * [v4.3] XML/GZ 下载支持按 M3U 播放列表裁剪 (见 playlist.js)
+ * [v4.4] XML/GZ 下载支持按日期窗口裁剪节目 (days / past 参数)
+ * [v4.5] 新增正在播出接口 /epg/now
+ * [v4.6] 新增批量查询接口 /epg/batch
+ * [v4.7] DIYP / 超级直播接口支持 start / end / days 多日查询
+ * [v4.8] 新增节目搜索接口 /epg/search
+ * [v4.9] 新增台标代理接口 /epg/logo/<频道>，可选将 JSON 与 XML 中的台标地址改写为代理地址
+ * [v5.0] JSON 接口支持 extended=1，返回节目扩展信息 (副标题、分类、集数等)
+ * [v5.1] JSON 接口支持 lang 参数 (默认 EPG_LANG)，按语言优先级选择频道名、标题与简介
+ * [v5.2] 频道名无法精确命中时使用模糊匹配兜底 (见 fuzzy.js)，仍未找到时在 404 中返回候选频道名
+ * [v5.3] 频道名匹配不区分繁简 (见 chinese.js)；JSON 与 XML 输出支持 script 参数 (默认 EPG_SCRIPT)，
+ *        将节目标题与简介转换为简体 / 繁体
+ * [v5.4] 新增定时预取 (refreshSources)，由 Cron Trigger / Docker 定时器在缓存过期前刷新数据源
+ * [v5.5] 新增状态接口 /api/status 与健康检查 /healthz，数据源状态改为结构化数据 (getSourceStatus)
+ * [v5.6] 新增 Prometheus 指标接口 /metrics (见 metrics.js)，统计各级缓存命中、合并请求、上游下载与熔断
+ * [v5.7] 新增管理接口 /admin/refresh、/admin/purge (需 ADMIN_TOKEN)：强制刷新数据源、清除缓存、重置熔断
+ * [v5.8] CORS 允许携带访问密钥的请求头；DIYP 缓存键不含访问密钥 (见 access.js)
+ * [v5.9] 回源使用条件请求 (ETag / Last-Modified)，上游返回 304 时续期边缘缓存与内存索引，不再重新下载
+ * [v6.0] XML/GZ 下载与 DIYP 接口返回 ETag / Last-Modified，支持客户端条件请求 (304) 与 HEAD 请求
  */
 
-import { smartFind, isGzipContent } from './utils.js';
+import { smartFind, smartFindNow, searchProgrammes, localize, localizeChannelName, getZonedWindow, formatTime, isGzipContent, isValidTimeZone, formatZonedDate, normalizeName, shiftDate, getZonedDayRange, hashText, safeEqual } from './utils.js';
+import { buildEpgIndex } from './parser.js';
+import { getSources } from './sources.js';
+import { planMerge, mergeXml } from './merge.js';
+import { CHANNEL_ALIASES, parseAliasTable, buildFlatChannels } from './aliases.js';
+import { parseM3u, matchPlaylist } from './playlist.js';
+import { CHANNEL_SUFFIX_REGEX, rankChannels, collectSuggestions } from './fuzzy.js';
+import { foldChinese, parseScript, convertScript } from './chinese.js';
+import { toTextStream, encodeTextStream, streamFromIterator, createWindowTransform, createElementTransform, readLimited } from './stream.js';
+import { incCounter, recordCache, createFetchMeter, renderMetrics } from './metrics.js';
 
 // --- 默认配置常量 ---
 const DEFAULT_CACHE_TTL = 3600;
@@ -13,486 +47,147 @@ const DEFAULT_FETCH_TIMEOUT = 20000;
 const DEFAULT_MAX_MEMORY_CACHE = 40 * 1024 * 1024;
 const DEFAULT_MAX_SOURCE_SIZE = 150 * 1024 * 1024;
 const DEFAULT_ERROR_COOLDOWN = 2 * 60 * 1000;
+const DEFAULT_TIMEZONE = 'Asia/Shanghai';
+const DEFAULT_MAX_MEMORY_ENTRIES = 5;
+// [v4.5] /epg/now：默认返回的后续节目数量、上限，以及响应最长缓存秒数
+const DEFAULT_NOW_COUNT = 3;
+const MAX_NOW_COUNT = 20;
+const NOW_MAX_AGE = 60;
+// [v4.6] 批量查询：单次请求的频道数上限；日期范围的最大天数
+const MAX_BATCH_CHANNELS = 500;
+const MAX_DATE_RANGE_DAYS = 14;
+// [v4.8] 节目搜索：默认 / 最多返回的结果数
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 200;
+// [v4.9] 台标代理：默认缓存时间 (秒)、单个台标大小上限、内存缓存条目上限
+const DEFAULT_LOGO_CACHE_TTL = 7 * 24 * 3600;
+const MAX_LOGO_BYTES = 1024 * 1024;
+const MAX_LOGO_MEMORY_ENTRIES = 200;
+// 播放列表 (远程地址或 POST 正文) 的大小上限
+const MAX_PLAYLIST_BYTES = 2 * 1024 * 1024;
+// [v5.2] 404 响应中返回的候选频道名数量
+const MAX_SUGGESTIONS = 5;
+// [v5.4] 定时预取：距上次获取超过 TTL 的该比例时刷新
+const PREFETCH_AGE_RATIO = 0.5;
+// [v5.9] 边缘缓存在 TTL 之后额外保留的时间 (秒)，期间可通过条件请求续期而无需重新下载
+const EDGE_STALE_RETENTION = 24 * 3600;
+// [v5.7] DIYP 响应缓存的失效标记：保存在 Cache API 中的内部地址；各节点重新读取标记的最短间隔
+const PURGE_MARKER_URL = 'https://epg-proxy.internal/__purge-markers';
+const PURGE_MARKER_REFRESH = 30 * 1000;
+const CACHED_AT_HEADER = 'X-EPG-Cached-At';
+// XML 输出改写台标地址时使用 (仅在单个 <channel> 片段中使用)
+const CHANNEL_ID_REGEX = /id="([^"]+)"/;
+const CHANNEL_ICON_SRC_REGEX = /(<icon\s+src=")([^"]*)(")/;
+// [v5.3] XML 输出转换字形时只处理节目标题与简介
+const PROG_TEXT_REGEX = /(<(title|desc)\b[^>]*>)([\s\S]*?)(<\/\2>)/g;
 
-// =========================================================
-// [新增] 频道名别名映射表 (请在此处维护你的 JSON 内容)
-// =========================================================
-const CHANNEL_ALIASES = {
-  'CCTV1': [
-    'CCTV-1', 'CCTV－1', 'CCTV_1', 'CCTV 1',
-    'CCTV1综合', 'CCTV-1综合', 'CCTV1综合频道',
-    'CCTV1HD', 'CCTV-1HD', 'CCTV1高清', 'CCTV-1高清',
-    'CCTV1超清', 'CCTV14K', 'CCTV-14K',
-    '中央1台', '中央一台', '中央电视台1', '中央电视台综合',
-    'CCTV1(综合)', 'CCTV-1(综合)', 'CCTV1 综合',
-    'CCTV1FHD', 'CCTV1UHD', 'CCTV综合'
-  ],
-  
-  'CCTV2': [
-    'CCTV-2', 'CCTV－2', 'CCTV_2', 'CCTV 2',
-    'CCTV2财经', 'CCTV-2财经', 'CCTV2经济',
-    'CCTV2HD', 'CCTV-2HD', 'CCTV2高清',
-    '中央2台', '中央二台', '中央电视台2',
-    'CCTV2(财经)', 'CCTV-2(财经)', 'CCTV财经'
-  ],
-  
-  'CCTV3': [
-    'CCTV-3', 'CCTV－3', 'CCTV_3', 'CCTV 3',
-    'CCTV3综艺', 'CCTV-3综艺', 'CCTV3综艺频道',
-    'CCTV3HD', 'CCTV-3HD', 'CCTV3高清',
-    '中央3台', '中央三台', '中央电视台3',
-    'CCTV3(综艺)', 'CCTV-3(综艺)', 'CCTV综艺'
-  ],
-  
-  'CCTV4': [
-    'CCTV-4', 'CCTV－4', 'CCTV_4', 'CCTV 4',
-    'CCTV4中文国际', 'CCTV-4中文国际', 'CCTV4国际',
-    'CCTV4HD', 'CCTV-4HD', 'CCTV4高清',
-    '中央4台', '中央四台', '中央电视台4',
-    'CCTV4(中文国际)', 'CCTV-4(中文国际)',
-    'CCTV4亚洲', 'CCTV4欧洲', 'CCTV4美洲'
-  ],
-  
-  'CCTV5': [
-    'CCTV-5', 'CCTV－5', 'CCTV_5', 'CCTV 5',
-    'CCTV5体育', 'CCTV-5体育', 'CCTV5体育频道',
-    'CCTV5HD', 'CCTV-5HD', 'CCTV5高清',
-    '中央5台', '中央五台', '中央电视台5',
-    'CCTV5(体育)', 'CCTV-5(体育)', 'CCTV体育',
-    'CCTV5FHD', 'CCTV5UHD', 'CCTV54K'
-  ],
-  
-  'CCTV5+': [
-    'CCTV-5+', 'CCTV－5+', 'CCTV_5+', 'CCTV 5+',
-    'CCTV5+体育', 'CCTV5+体育赛事', 'CCTV-5+体育赛事',
-    'CCTV5+HD', 'CCTV-5+HD', 'CCTV5+高清',
-    'CCTV5PLUS', 'CCTV-5PLUS', 'CCTV5PLUS体育',
-    '中央5+台', 'CCTV5赛事', 'CCTV体育赛事',
-    'CCTV5+(体育赛事)', 'CCTV-5+(体育赛事)',
-    'CCTV5+ 体育赛事', 'CCTV 5+ 体育'
-  ],
-  
-  'CCTV6': [
-    'CCTV-6', 'CCTV－6', 'CCTV_6', 'CCTV 6',
-    'CCTV6电影', 'CCTV-6电影', 'CCTV6电影频道',
-    'CCTV6HD', 'CCTV-6HD', 'CCTV6高清',
-    '中央6台', '中央六台', '中央电视台6',
-    'CCTV6(电影)', 'CCTV-6(电影)', 'CCTV电影'
-  ],
-  
-  'CCTV7': [
-    'CCTV-7', 'CCTV－7', 'CCTV_7', 'CCTV 7',
-    'CCTV7国防军事', 'CCTV-7国防军事', 'CCTV7军事',
-    'CCTV7农业', 'CCTV7军事农业',
-    'CCTV7HD', 'CCTV-7HD', 'CCTV7高清',
-    '中央7台', '中央七台', '中央电视台7',
-    'CCTV7(国防军事)', 'CCTV-7(国防军事)', 'CCTV国防军事'
-  ],
-  
-  'CCTV8': [
-    'CCTV-8', 'CCTV－8', 'CCTV_8', 'CCTV 8',
-    'CCTV8电视剧', 'CCTV-8电视剧', 'CCTV8影视',
-    'CCTV8HD', 'CCTV-8HD', 'CCTV8高清',
-    '中央8台', '中央八台', '中央电视台8',
-    'CCTV8(电视剧)', 'CCTV-8(电视剧)', 'CCTV电视剧'
-  ],
-  
-  'CCTV9': [
-    'CCTV-9', 'CCTV－9', 'CCTV_9', 'CCTV 9',
-    'CCTV9纪录', 'CCTV-9纪录', 'CCTV9纪录片',
-    'CCTV9HD', 'CCTV-9HD', 'CCTV9高清',
-    '中央9台', '中央九台', '中央电视台9',
-    'CCTV9(纪录)', 'CCTV-9(纪录)', 'CCTV纪录'
-  ],
-  
-  'CCTV10': [
-    'CCTV-10', 'CCTV－10', 'CCTV_10', 'CCTV 10',
-    'CCTV10科教', 'CCTV-10科教', 'CCTV10科学',
-    'CCTV10HD', 'CCTV-10HD', 'CCTV10高清',
-    '中央10台', '中央十台', '中央电视台10',
-    'CCTV10(科教)', 'CCTV-10(科教)', 'CCTV科教'
-  ],
-  
-  'CCTV11': [
-    'CCTV-11', 'CCTV－11', 'CCTV_11', 'CCTV 11',
-    'CCTV11戏曲', 'CCTV-11戏曲', 'CCTV11戏曲频道',
-    'CCTV11HD', 'CCTV-11HD', 'CCTV11高清',
-    '中央11台', '中央十一台', '中央电视台11',
-    'CCTV11(戏曲)', 'CCTV-11(戏曲)', 'CCTV戏曲'
-  ],
-  
-  'CCTV12': [
-    'CCTV-12', 'CCTV－12', 'CCTV_12', 'CCTV 12',
-    'CCTV12社会与法', 'CCTV-12社会与法', 'CCTV12法制',
-    'CCTV12HD', 'CCTV-12HD', 'CCTV12高清',
-    '中央12台', '中央十二台', '中央电视台12',
-    'CCTV12(社会与法)', 'CCTV-12(社会与法)', 'CCTV社会与法'
-  ],
-  
-  'CCTV13': [
-    'CCTV-13', 'CCTV－13', 'CCTV_13', 'CCTV 13',
-    'CCTV13新闻', 'CCTV-13新闻', 'CCTV13新闻频道',
-    'CCTV13HD', 'CCTV-13HD', 'CCTV13高清',
-    '中央13台', '中央十三台', '中央电视台13',
-    'CCTV13(新闻)', 'CCTV-13(新闻)', 'CCTV新闻'
-  ],
-  
-  'CCTV14': [
-    'CCTV-14', 'CCTV－14', 'CCTV_14', 'CCTV 14',
-    'CCTV14少儿', 'CCTV-14少儿', 'CCTV14儿童',
-    'CCTV14HD', 'CCTV-14HD', 'CCTV14高清',
-    '中央14台', '中央十四台', '中央电视台14',
-    'CCTV14(少儿)', 'CCTV-14(少儿)', 'CCTV少儿'
-  ],
-  
-  'CCTV15': [
-    'CCTV-15', 'CCTV－15', 'CCTV_15', 'CCTV 15',
-    'CCTV15音乐', 'CCTV-15音乐', 'CCTV15音乐频道',
-    'CCTV15HD', 'CCTV-15HD', 'CCTV15高清',
-    '中央15台', '中央十五台', '中央电视台15',
-    'CCTV15(音乐)', 'CCTV-15(音乐)', 'CCTV音乐'
-  ],
-  
-  'CCTV16': [
-    'CCTV-16', 'CCTV－16', 'CCTV_16', 'CCTV 16',
-    'CCTV16奥林匹克', 'CCTV-16奥林匹克', 'CCTV16奥运',
-    'CCTV16HD', 'CCTV-16HD', 'CCTV16高清',
-    'CCTV164K', 'CCTV-164K',
-    '中央16台', '中央十六台', '中央电视台16',
-    'CCTV16(奥林匹克)', 'CCTV-16(奥林匹克)', 'CCTV奥林匹克'
-  ],
-  
-  'CCTV17': [
-    'CCTV-17', 'CCTV－17', 'CCTV_17', 'CCTV 17',
-    'CCTV17农业农村', 'CCTV-17农业农村', 'CCTV17农业',
-    'CCTV17HD', 'CCTV-17HD', 'CCTV17高清',
-    '中央17台', '中央十七台', '中央电视台17',
-    'CCTV17(农业农村)', 'CCTV-17(农业农村)', 'CCTV农业农村'
-  ],
-  
-  // ========== 省级卫视 ==========
-  
-  // 湖南卫视
-  '湖南卫视': [
-    '湖南', '湖南台', '湖南TV', 'HUNAN', 'HUNANTV',
-    '湖南卫视HD', '湖南卫视高清', '湖南卫视超清',
-    '湖南HD', '湖南高清', '湖南FHD', '湖南4K',
-    '湖南卫视(高清)', 'HUNANSTV', '湖南省卫视',
-    '湖南卫视1080P', '湖南卫视UHD'
-  ],
-  
-  // 浙江卫视
-  '浙江卫视': [
-    '浙江', '浙江台', '浙江TV', 'ZHEJIANG', 'ZJTV',
-    '浙江卫视HD', '浙江卫视高清', '浙江卫视超清',
-    '浙江HD', '浙江高清', '浙江FHD', '浙江4K',
-    '浙江卫视(高清)', 'ZHEJIANGTV', '浙江省卫视'
-  ],
-  
-  // 江苏卫视
-  '江苏卫视': [
-    '江苏', '江苏台', '江苏TV', 'JIANGSU', 'JSTV',
-    '江苏卫视HD', '江苏卫视高清', '江苏卫视超清',
-    '江苏HD', '江苏高清', '江苏FHD', '江苏4K',
-    '江苏卫视(高清)', 'JIANGSUTV', '江苏省卫视'
-  ],
-  
-  // 东方卫视
-  '东方卫视': [
-    '东方', '东方台', '东方TV', 'DONGFANG', 'DFTV',
-    '上海卫视', '上海东方', '上海东方卫视',
-    '东方卫视HD', '东方卫视高清', '东方卫视超清',
-    '东方HD', '东方高清', '东方FHD', '东方4K',
-    '东方卫视(高清)', 'DONGFANGTV', '上海卫视HD'
-  ],
-  
-  // 北京卫视
-  '北京卫视': [
-    '北京', '北京台', '北京TV', 'BEIJING', 'BJTV',
-    '北京卫视HD', '北京卫视高清', '北京卫视超清',
-    '北京HD', '北京高清', '北京FHD', '北京4K',
-    '北京卫视(高清)', 'BEIJINGTV', 'BTV卫视'
-  ],
-  
-  // 广东卫视
-  '广东卫视': [
-    '广东', '广东台', '广东TV', 'GUANGDONG', 'GDTV',
-    '广东卫视HD', '广东卫视高清', '广东卫视超清',
-    '广东HD', '广东高清', '广东FHD', '广东4K',
-    '广东卫视(高清)', 'GUANGDONGTV', '广东省卫视'
-  ],
-  
-  // 深圳卫视
-  '深圳卫视': [
-    '深圳', '深圳台', '深圳TV', 'SHENZHEN', 'SZTV',
-    '深圳卫视HD', '深圳卫视高清', '深圳卫视超清',
-    '深圳HD', '深圳高清', '深圳FHD', '深圳4K',
-    '深圳卫视(高清)', 'SHENZHENTV'
-  ],
-  
-  // 天津卫视
-  '天津卫视': [
-    '天津', '天津台', '天津TV', 'TIANJIN', 'TJTV',
-    '天津卫视HD', '天津卫视高清', '天津卫视超清',
-    '天津HD', '天津高清', '天津FHD',
-    '天津卫视(高清)', 'TIANJINTV'
-  ],
-  
-  // 山东卫视
-  '山东卫视': [
-    '山东', '山东台', '山东TV', 'SHANDONG', 'SDTV',
-    '山东卫视HD', '山东卫视高清', '山东卫视超清',
-    '山东HD', '山东高清', '山东FHD',
-    '山东卫视(高清)', 'SHANDONGTV', '山东省卫视'
-  ],
-  
-  // 湖北卫视
-  '湖北卫视': [
-    '湖北', '湖北台', '湖北TV', 'HUBEI', 'HBTV',
-    '湖北卫视HD', '湖北卫视高清', '湖北卫视超清',
-    '湖北HD', '湖北高清', '湖北FHD',
-    '湖北卫视(高清)', 'HUBEITV', '湖北省卫视'
-  ],
-  
-  // 辽宁卫视
-  '辽宁卫视': [
-    '辽宁', '辽宁台', '辽宁TV', 'LIAONING', 'LNTV',
-    '辽宁卫视HD', '辽宁卫视高清', '辽宁卫视超清',
-    '辽宁HD', '辽宁高清', '辽宁FHD',
-    '辽宁卫视(高清)', 'LIAONINGTV', '辽宁省卫视'
-  ],
-  
-  // 黑龙江卫视
-  '黑龙江卫视': [
-    '黑龙江', '黑龙江台', '黑龙江TV', 'HEILONGJIANG', 'HLJTV',
-    '黑龙江卫视HD', '黑龙江卫视高清', '黑龙江卫视超清',
-    '黑龙江HD', '黑龙江高清', '黑龙江FHD',
-    '黑龙江卫视(高清)', 'HEILONGJIANGTV', '黑龙江省卫视'
-  ],
-  
-  // 安徽卫视
-  '安徽卫视': [
-    '安徽', '安徽台', '安徽TV', 'ANHUI', 'AHTV',
-    '安徽卫视HD', '安徽卫视高清', '安徽卫视超清',
-    '安徽HD', '安徽高清', '安徽FHD',
-    '安徽卫视(高清)', 'ANHUITV', '安徽省卫视'
-  ],
-  
-  // 河北卫视
-  '河北卫视': [
-    '河北', '河北台', '河北TV', 'HEBEI', 'HEBTV',
-    '河北卫视HD', '河北卫视高清', '河北卫视超清',
-    '河北HD', '河北高清', '河北FHD',
-    '河北卫视(高清)', 'HEBEITV', '河北省卫视'
-  ],
-  
-  // 河南卫视
-  '河南卫视': [
-    '河南', '河南台', '河南TV', 'HENAN', 'HNTV',
-    '河南卫视HD', '河南卫视高清', '河南卫视超清',
-    '河南HD', '河南高清', '河南FHD',
-    '河南卫视(高清)', 'HENANTV', '河南省卫视'
-  ],
-  
-  // 江西卫视
-  '江西卫视': [
-    '江西', '江西台', '江西TV', 'JIANGXI', 'JXTV',
-    '江西卫视HD', '江西卫视高清', '江西卫视超清',
-    '江西HD', '江西高清', '江西FHD',
-    '江西卫视(高清)', 'JIANGXITV', '江西省卫视'
-  ],
-  
-  // 四川卫视
-  '四川卫视': [
-    '四川', '四川台', '四川TV', 'SICHUAN', 'SCTV',
-    '四川卫视HD', '四川卫视高清', '四川卫视超清',
-    '四川HD', '四川高清', '四川FHD',
-    '四川卫视(高清)', 'SICHUANTV', '四川省卫视'
-  ],
-  
-  // 重庆卫视
-  '重庆卫视': [
-    '重庆', '重庆台', '重庆TV', 'CHONGQING', 'CQTV',
-    '重庆卫视HD', '重庆卫视高清', '重庆卫视超清',
-    '重庆HD', '重庆高清', '重庆FHD',
-    '重庆卫视(高清)', 'CHONGQINGTV'
-  ],
-  
-  // 贵州卫视
-  '贵州卫视': [
-    '贵州', '贵州台', '贵州TV', 'GUIZHOU', 'GZTV',
-    '贵州卫视HD', '贵州卫视高清', '贵州卫视超清',
-    '贵州HD', '贵州高清', '贵州FHD',
-    '贵州卫视(高清)', 'GUIZHOUTV', '贵州省卫视'
-  ],
-  
-  // 云南卫视
-  '云南卫视': [
-    '云南', '云南台', '云南TV', 'YUNNAN', 'YNTV',
-    '云南卫视HD', '云南卫视高清', '云南卫视超清',
-    '云南HD', '云南高清', '云南FHD',
-    '云南卫视(高清)', 'YUNNANTV', '云南省卫视'
-  ],
-  
-  // 广西卫视
-  '广西卫视': [
-    '广西', '广西台', '广西TV', 'GUANGXI', 'GXTV',
-    '广西卫视HD', '广西卫视高清', '广西卫视超清',
-    '广西HD', '广西高清', '广西FHD',
-    '广西卫视(高清)', 'GUANGXITV', '广西省卫视'
-  ],
-  
-  // 吉林卫视
-  '吉林卫视': [
-    '吉林', '吉林台', '吉林TV', 'JILIN', 'JLTV',
-    '吉林卫视HD', '吉林卫视高清', '吉林卫视超清',
-    '吉林HD', '吉林高清', '吉林FHD',
-    '吉林卫视(高清)', 'JILINTV', '吉林省卫视'
-  ],
-  
-  // 福建卫视
-  '福建卫视': [
-    '福建', '福建台', '福建TV', 'FUJIAN', 'FJTV', 'SETV',
-    '福建卫视HD', '福建卫视高清', '福建卫视超清',
-    '福建HD', '福建高清', '福建FHD',
-    '福建卫视(高清)', 'FUJIANTV', '福建省卫视', '东南卫视'
-  ],
-  
-  // 陕西卫视
-  '陕西卫视': [
-    '陕西', '陕西台', '陕西TV', 'SHANXI', 'SXITV',
-    '陕西卫视HD', '陕西卫视高清', '陕西卫视超清',
-    '陕西HD', '陕西高清', '陕西FHD',
-    '陕西卫视(高清)', 'SHANXITV', '陕西省卫视'
-  ],
-  
-  // 山西卫视
-  '山西卫视': [
-    '山西', '山西台', 'SHANXI3', 'SXSTV',
-    '山西卫视HD', '山西卫视高清', '山西卫视超清',
-    '山西卫视(高清)', '山西省卫视'
-  ],
-  
-  // 内蒙古卫视
-  '内蒙古卫视': [
-    '内蒙古', '内蒙古台', '内蒙古TV', 'NEIMENGGU', 'NMGTV',
-    '内蒙古卫视HD', '内蒙古卫视高清', '内蒙古卫视超清',
-    '内蒙古卫视(高清)', '内蒙古自治区卫视'
-  ],
-  
-  // 青海卫视
-  '青海卫视': [
-    '青海', '青海台', '青海TV', 'QINGHAI', 'QHTV',
-    '青海卫视HD', '青海卫视高清', '青海卫视超清',
-    '青海卫视(高清)', '青海省卫视'
-  ],
-  
-  // 宁夏卫视
-  '宁夏卫视': [
-    '宁夏', '宁夏台', '宁夏TV', 'NINGXIA', 'NXTV',
-    '宁夏卫视HD', '宁夏卫视高清', '宁夏卫视超清',
-    '宁夏卫视(高清)', '宁夏回族自治区卫视'
-  ],
-  
-  // 新疆卫视
-  '新疆卫视': [
-    '新疆', '新疆台', '新疆TV', 'XINJIANG', 'XJTV',
-    '新疆卫视HD', '新疆卫视高清', '新疆卫视超清',
-    '新疆卫视(高清)', '新疆维吾尔自治区卫视'
-  ],
-  
-  // 西藏卫视
-  '西藏卫视': [
-    '西藏', '西藏台', '西藏TV', 'XIZANG', 'TIBET', 'XZTV',
-    '西藏卫视HD', '西藏卫视高清', '西藏卫视超清',
-    '西藏卫视(高清)', '西藏自治区卫视'
-  ],
-  
-  // 甘肃卫视
-  '甘肃卫视': [
-    '甘肃', '甘肃台', '甘肃TV', 'GANSU', 'GSTV',
-    '甘肃卫视HD', '甘肃卫视高清', '甘肃卫视超清',
-    '甘肃卫视(高清)', '甘肃省卫视'
-  ],
-  
-  // 海南卫视
-  '海南卫视': [
-    '海南', '海南台', '海南TV', 'HAINAN', 'HNTV2',
-    '海南卫视HD', '海南卫视高清', '海南卫视超清',
-    '海南卫视(高清)', '海南省卫视', '旅游卫视'
-  ],
-  
-  // ========== 港澳台卫视 ==========
-  
-  // 凤凰卫视
-  '凤凰卫视': [
-    '凤凰', '凤凰台', 'PHOENIX', 'PHX',
-    '凤凰卫视中文台', '凤凰中文', 'PHOENIXTV',
-    '凤凰HD', '凤凰高清'
-  ],
-  
-  '凤凰资讯': [
-    '凤凰资讯台', 'PHOENIXINFO', '凤凰资讯HD'
-  ],
-  
-  '凤凰香港': [
-    '凤凰香港台', 'PHOENIXHK', '凤凰香港HD'
-  ],
-  
-  // 其他常见频道
-  'CHC家庭影院': [
-    'CHC家庭', 'CHC影院', 'CHC', 'CHC家庭HD'
-  ],
-  
-  'CHC高清电影': [
-    'CHC电影', 'CHC高清', 'CHCTV'
-  ],
-  
-  'CHC动作电影': [
-    'CHC动作', 'CHC动作HD'
-  ]
-};
+// [v4.1] 别名表运行时加载状态 (内置表 + 环境变量/挂载文件 + 远程 JSON)
+const BUILTIN_FLAT_CHANNELS = buildFlatChannels(CHANNEL_ALIASES);
+let ALIAS_STATE = null;
+let ALIAS_PENDING = null;
 
-// [自动处理] 将别名表扁平化以提高查询性能
-const FLAT_CHANNELS = {};
-for (const [standardName, aliases] of Object.entries(CHANNEL_ALIASES)) {
-  FLAT_CHANNELS[standardName.toUpperCase()] = standardName;
-  aliases.forEach(alias => {
-    // 移除空格并转大写作为索引键
-    FLAT_CHANNELS[alias.toUpperCase().replace(/\s+/g, '')] = standardName;
-  });
+/**
+ * 获取当前生效的扁平别名表
+ * 合并顺序 (后者覆盖前者)：内置表 -> CHANNEL_ALIASES (Docker 挂载文件同样写入此变量) -> CHANNEL_ALIASES_URL
+ * 远程表按 CACHE_TTL 缓存，过期后重新获取；获取失败时沿用旧表并进入冷却期
+ */
+async function getFlatChannels(ctx, env) {
+  // wrangler.toml 中以 TOML 表形式配置时，env 中得到的是对象
+  const envJson = typeof env.CHANNEL_ALIASES === 'object' && env.CHANNEL_ALIASES
+    ? JSON.stringify(env.CHANNEL_ALIASES)
+    : (env.CHANNEL_ALIASES || '');
+  const remoteUrl = env.CHANNEL_ALIASES_URL || '';
+  if (!envJson && !remoteUrl) return BUILTIN_FLAT_CHANNELS;
+
+  const signature = `${envJson}|${remoteUrl}`;
+  if (ALIAS_STATE && ALIAS_STATE.signature === signature && Date.now() < ALIAS_STATE.expireTime) {
+    return ALIAS_STATE.flat;
+  }
+
+  // 合并并发请求，远程别名表只下载一次
+  if (!ALIAS_PENDING) {
+    ALIAS_PENDING = loadAliasState(ctx, env, envJson, remoteUrl, signature)
+      .finally(() => { ALIAS_PENDING = null; });
+  }
+  ALIAS_STATE = await ALIAS_PENDING;
+  return ALIAS_STATE.flat;
+}
+
+async function loadAliasState(ctx, env, envJson, remoteUrl, signature) {
+  const now = Date.now();
+  const cacheTtl = parseInt(env.CACHE_TTL) || DEFAULT_CACHE_TTL;
+  const errorCooldown = parseInt(env.ERROR_COOLDOWN_MS) || DEFAULT_ERROR_COOLDOWN;
+
+  let envTable = {};
+  if (envJson) {
+    try {
+      envTable = parseAliasTable(envJson);
+    } catch (e) {
+      console.error("CHANNEL_ALIASES parse error:", e.message);
+    }
+  }
+
+  let remoteTable = (ALIAS_STATE && ALIAS_STATE.signature === signature) ? ALIAS_STATE.remoteTable : {};
+  let expireTime = remoteUrl ? now + cacheTtl * 1000 : Infinity;
+
+  if (remoteUrl) {
+    try {
+      const upstream = await getSourceStream(ctx, { key: 'aliases', url: remoteUrl, ttl: null, timeout: null }, env);
+      let stream = upstream.stream;
+      if (upstream.isGzip) stream = stream.pipeThrough(new DecompressionStream('gzip'));
+      remoteTable = parseAliasTable(await new Response(stream).text());
+    } catch (e) {
+      console.error("CHANNEL_ALIASES_URL load error:", e.message);
+      expireTime = now + errorCooldown;
+    }
+  }
+
+  return {
+    signature,
+    remoteTable,
+    expireTime,
+    flat: buildFlatChannels(CHANNEL_ALIASES, envTable, remoteTable)
+  };
 }
 
 /**
  * 频道名标准化清洗工具
+ * [v4.1] 别名表改为参数传入，以支持运行时加载
  */
-function normalizeChannelId(rawCh) {
+function normalizeChannelId(rawCh, flatChannels = BUILTIN_FLAT_CHANNELS) {
   if (!rawCh) return "";
   
-  // 基础清洗：转大写，去所有空格，去横杠和下划线 (明确保留 + 号)
-  const cleanCh = rawCh.toUpperCase()
+  // 基础清洗：转大写，去所有空格，去横杠和下划线 (明确保留 + 号)，繁体折叠为简体
+  const cleanCh = foldChinese(rawCh.toUpperCase()
     .replace(/\s+/g, '')
-    .replace(/[-_——]/g, '');
+    .replace(/[-_——]/g, ''));
 
   // 1. 尝试直接在扁平映射表中查找
-  if (FLAT_CHANNELS[cleanCh]) {
-    return FLAT_CHANNELS[cleanCh];
+  if (flatChannels[cleanCh]) {
+    return flatChannels[cleanCh];
   }
 
   // 2. 尝试剔除常见后缀后再查找 (保护 CCTV5+，正则不包含 +)
-  const baseName = cleanCh.replace(/(HD|SD|高清|超清|4K|8K|综合|频道|台|字幕|低码|分级|超高清)$/g, '');
+  const baseName = cleanCh.replace(CHANNEL_SUFFIX_REGEX, '');
   
-  return FLAT_CHANNELS[baseName] || baseName;
+  return flatChannels[baseName] || baseName;
 }
 
 // [全局内存缓存]
 const MEMORY_CACHE_MAP = new Map();
 const PENDING_REQUESTS = new Map();
+// [v4.9] 台标内存缓存：台标地址 -> { body, contentType, expireTime, errorMsg }
+const LOGO_MEMORY_CACHE = new Map();
+// [v5.4] 最近一次定时预取的结果 (供状态面板展示)
+let LAST_PREFETCH = null;
+// [v5.7] DIYP 响应缓存失效标记：早于该时间写入的缓存视为已清除
+// all: 全部频道；channels: 频道 -> 时间戳；loadedAt: 上次从 Cache API 读取的时间
+const PURGE_MARKERS = { all: 0, channels: {}, loadedAt: 0 };
 
 export const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
 };
 
 // =========================================================
@@ -509,35 +204,282 @@ function getRawQueryParam(url, ...names) {
   return null;
 }
 
+// =========================================================
+// 内部工具：读取同名 query 参数的全部取值，逗号分隔的值同样拆开（保留 + 语义）
+// =========================================================
+function getRawQueryParamAll(url, name) {
+  const values = [];
+  for (const m of url.search.slice(1).matchAll(new RegExp(`(?:^|&)${name}=([^&]*)`, 'g'))) {
+    const value = decodeURIComponent(m[1].replace(/\+/g, '%2B'));
+    values.push(...value.split(','));
+  }
+  return values.map(v => v.trim()).filter(Boolean);
+}
+
+// =========================================================
+// 内部工具：解析日期关键字 (DATEnSUB 表示 n 天前，按输出时区计算「今天」)
+// =========================================================
+function resolveDateKeyword(date, env) {
+  const m = (date || '').match(/^DATE(\d+)SUB$/i);
+  if (!m) return date;
+  // 按输出时区计算「今天」，避免服务器本地时区 (通常为 UTC) 导致日期偏移
+  const subDays = parseInt(m[1], 10);
+  return formatZonedDate(Date.now() - subDays * 24 * 3600 * 1000, getTimeZone(env));
+}
+
+// =========================================================
+// 内部工具：解析日期范围参数
+// 起始日为 start (未传时取 date，都未传时为今天)，结束日由 end (包含) 或 days 决定，默认只有一天
+// @returns {{dates: string[]}|{error: string}} 日期统一为 YYYY-MM-DD
+// =========================================================
+function resolveDateRange({ date, start, end, days }, env) {
+  const timeZone = getTimeZone(env);
+  const first = resolveDateKeyword(start || date, env) || formatZonedDate(Date.now(), timeZone);
+  if (!shiftDate(first, 0)) return { error: `Invalid date: ${first}` };
+
+  let count = 1;
+  if (end) {
+    const last = shiftDate(resolveDateKeyword(end, env), 0);
+    if (!last) return { error: `Invalid date: ${end}` };
+    count = Math.round((Date.parse(last) - Date.parse(shiftDate(first, 0))) / 86400000) + 1;
+  } else if (days !== undefined && days !== null && days !== '') {
+    count = Number(days);
+    if (!Number.isInteger(count)) return { error: `Invalid days: ${days}` };
+  }
+  if (count < 1) return { error: "End date is earlier than start date" };
+  if (count > MAX_DATE_RANGE_DAYS) return { error: `Date range exceeds ${MAX_DATE_RANGE_DAYS} days` };
+
+  return { dates: Array.from({ length: count }, (_, i) => shiftDate(first, i)) };
+}
+
+// =========================================================
+// 内部工具：读取查询选项
+// extended=1 时附带节目扩展信息；lang (未传时取 EPG_LANG) 为逗号分隔的语言优先级列表
+// =========================================================
+function getQueryOptions(url, env, overrides = {}) {
+  const extended = (url.searchParams.get('extended') || '').toLowerCase();
+  return {
+    extended: ['1', 'true'].includes(extended),
+    langs: parseLangs(url.searchParams.get('lang') || env.EPG_LANG),
+    script: parseScript(url.searchParams.get('script') || env.EPG_SCRIPT),
+    ...overrides
+  };
+}
+
+function parseLangs(raw) {
+  return String(raw || '').split(',').map(lang => lang.trim().toLowerCase()).filter(Boolean);
+}
+
+// =========================================================
+// 内部工具：构造 JSON 响应 (附带 CORS 头)
+// =========================================================
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json; charset=utf-8', ...headers, ...CORS_HEADERS }
+  });
+}
+
+// =========================================================
+// 内部工具：读取输出时区 (非法配置时回退默认值)
+// =========================================================
+function getTimeZone(env) {
+  return isValidTimeZone(env.EPG_TIMEZONE) ? env.EPG_TIMEZONE : DEFAULT_TIMEZONE;
+}
+
+// =========================================================
+// 内部工具：台标代理地址 (LOGO_PROXY=true 时改写 JSON / XML 中的台标地址)
+// =========================================================
+function isLogoProxyEnabled(env) {
+  return env.LOGO_PROXY === 'true';
+}
+
+function getLogoProxyUrl(url, channel) {
+  return `${url.origin}/epg/logo/${encodeURIComponent(channel)}`;
+}
+
+function rewriteIcon(icon, channel, url, env) {
+  if (!icon || !isLogoProxyEnabled(env)) return icon;
+  return getLogoProxyUrl(url, channel);
+}
+
+// =========================================================
+// 内部工具：读取数据源的缓存时间 (单源配置优先于全局 CACHE_TTL)
+// =========================================================
+function getSourceTtl(source, env) {
+  return source.ttl || parseInt(env.CACHE_TTL) || DEFAULT_CACHE_TTL;
+}
+
+// =========================================================
+// 内部工具：客户端条件请求与 HEAD [v6.0]
+// 响应带有 ETag / Last-Modified 时，If-None-Match (优先) 或 If-Modified-Since 命中则返回 304；
+// HEAD 请求只返回响应头，不生成 (或丢弃) 正文
+// =========================================================
+/**
+ * 数据源版本：标识取上游的 ETag，其次 Last-Modified，再次为获取时间；时间取 Last-Modified，其次为获取时间
+ * @returns {{tag: string, time: number}|null} 无法确定版本时返回 null
+ */
+function getSourceVersion(validators, fetchTime) {
+  const lastModified = validators && validators.lastModified ? Date.parse(validators.lastModified) : NaN;
+  const tag = (validators && (validators.etag || validators.lastModified)) || (fetchTime ? String(fetchTime) : null);
+  if (!tag) return null;
+  const time = Number.isNaN(lastModified) ? fetchTime : lastModified;
+  return { tag, time: time || null };
+}
+
+/**
+ * 内存索引对应的数据源版本 (索引已被替换或未进入内存缓存时返回 null)
+ */
+function getIndexVersion(source, index) {
+  const item = MEMORY_CACHE_MAP.get(source.url);
+  if (!item || item.index !== index) return null;
+  return getSourceVersion(item.validators, item.fetchTime);
+}
+
+/**
+ * 生成实体头：ETag 由各数据源版本与影响输出的参数计算 (任一数据源版本未知时不生成)，
+ * Last-Modified 取各数据源版本时间与 minTime 的最大值
+ * @param {Array<{tag: string, time: number|null}|null>} versions
+ * @param {Array} parts 影响输出内容的参数
+ * @param {number} [minTime] 输出随日期变化时传入当天的起始时间，避免跨天后 If-Modified-Since 误判未修改
+ */
+async function getEntityHeaders(versions, parts, minTime = 0) {
+  if (versions.length === 0 || versions.some(version => !version)) return {};
+  const headers = { 'ETag': `W/"${await hashText(JSON.stringify([...versions.map(v => v.tag), ...parts]))}"` };
+  const time = Math.max(minTime, ...versions.map(version => version.time || 0));
+  if (time > 0) headers['Last-Modified'] = new Date(time).toUTCString();
+  return headers;
+}
+
+/**
+ * 请求的条件是否表明客户端的副本仍然有效 (仅 GET / HEAD)
+ * ETag 按弱比较 (忽略 W/ 前缀)；有 If-None-Match 时忽略 If-Modified-Since
+ */
+function isNotModified(request, headers) {
+  if (!['GET', 'HEAD'].includes(request.method)) return false;
+
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch !== null) {
+    const etag = headers.get('ETag');
+    if (!etag) return false;
+    const tags = ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    return tags.includes('*') || tags.includes(etag.replace(/^W\//, ''));
+  }
+
+  const since = Date.parse(request.headers.get('If-Modified-Since') || '');
+  const lastModified = Date.parse(headers.get('Last-Modified') || '');
+  return !Number.isNaN(since) && !Number.isNaN(lastModified) && lastModified <= since;
+}
+
+/**
+ * 304 响应：保留 ETag、Last-Modified、Cache-Control 与 CORS 等头，去掉描述正文的头
+ */
+function notModifiedResponse(headers) {
+  const result = new Headers(headers);
+  for (const name of ['Content-Type', 'Content-Length', 'Content-Encoding']) result.delete(name);
+  return new Response(null, { status: 304, headers: result });
+}
+
+/**
+ * 对已生成的 200 响应应用条件请求与 HEAD 处理 (如 DIYP 的 JSON 响应与其缓存)，不需要正文时释放正文
+ */
+function finalizeResponse(request, response) {
+  if (response.status !== 200) return response;
+  const notModified = isNotModified(request, response.headers);
+  if (!notModified && request.method !== 'HEAD') return response;
+  if (response.body) response.body.cancel().catch(() => {});
+  return notModified ? notModifiedResponse(response.headers) : new Response(null, response);
+}
+
+/**
+ * 流式输出的响应：正文只在需要时创建，304 与 HEAD 不会读取上游数据
+ * @param {() => ReadableStream} createBody 创建正文数据流
+ * @param {() => void} [discard] 不需要正文时释放已打开的上游数据流
+ */
+function streamResponse(request, headers, createBody, discard) {
+  const responseHeaders = new Headers(headers);
+  const notModified = isNotModified(request, responseHeaders);
+  if (notModified || request.method === 'HEAD') {
+    if (discard) discard();
+    return notModified ? notModifiedResponse(responseHeaders) : new Response(null, { headers: responseHeaders });
+  }
+  return new Response(createBody(), { headers: responseHeaders });
+}
+
 // =========================================================
 // 1. 数据源获取 (底层网络层)
+// [v3.9] 入参改为数据源对象 (见 sources.js)，以支持单源 TTL/超时
+// [v5.4] forceRefresh 时跳过边缘缓存，直接回源并覆盖缓存 (用于定时预取)
+// [v5.6] 按 source.key 统计边缘缓存命中、回源次数、失败次数、下载字节数与耗时
+// [v5.9] 条件请求：边缘缓存保留到 TTL 之后 (EDGE_STALE_RETENTION)，过期后携带上游的 ETag / Last-Modified
+//        回源 (If-None-Match / If-Modified-Since)；上游返回 304 时沿用缓存副本并刷新其获取时间，不再重新下载
 // =========================================================
-export async function getSourceStream(ctx, targetUrl, env) {
-  const cacheTtl = parseInt(env.CACHE_TTL) || DEFAULT_CACHE_TTL;
-  const fetchTimeout = parseInt(env.FETCH_TIMEOUT) || DEFAULT_FETCH_TIMEOUT;
-  const maxSourceSize = parseInt(env.MAX_SOURCE_SIZE_BYTES) || DEFAULT_MAX_SOURCE_SIZE;
+/**
+ * @param {Object} source 数据源 { key, url, ttl, timeout }，可选 maxSize 覆盖 MAX_SOURCE_SIZE_BYTES (如台标)
+ * @param {Object} options
+ * @param {boolean} [options.forceRefresh] 忽略边缘缓存的新鲜度，立即回源 (仍可条件请求)
+ * @param {boolean} [options.revalidate] 是否允许条件请求，为 false 时无条件重新下载
+ * @param {{etag: string|null, lastModified: string|null}|null} [options.validators]
+ *   调用方自己持有的副本 (如内存索引) 的校验值；上游返回 304 且与之一致时 stream 为 null，由调用方沿用自己的副本
+ * @returns {Promise<{stream: ReadableStream|null, headers: Headers, isGzip: boolean, notModified: boolean,
+ *   validators: {etag: string|null, lastModified: string|null}, fetchTime: number|null}>}
+ *   fetchTime 为该份数据最近一次从上游获取 (或经 304 确认) 的时间
+ */
+export async function getSourceStream(ctx, source, env, { forceRefresh = false, revalidate = true, validators = null } = {}) {
+  const targetUrl = source.url;
+  const metricSource = source.key || 'other';
+  const cacheTtl = getSourceTtl(source, env);
+  const fetchTimeout = source.timeout || parseInt(env.FETCH_TIMEOUT) || DEFAULT_FETCH_TIMEOUT;
+  const maxSourceSize = source.maxSize || parseInt(env.MAX_SOURCE_SIZE_BYTES) || DEFAULT_MAX_SOURCE_SIZE;
 
   const cache = (typeof caches !== 'undefined') ? caches.default : null;
   const cacheKey = new Request(targetUrl, { method: "GET" });
   
+  // 边缘缓存中的副本：新鲜时直接使用；过期 (或强制刷新) 时作为条件请求的依据
+  let staleRes = null;
   if (cache) {
     let cachedRes = await cache.match(cacheKey);
-    if (cachedRes) {
+    const fetchTime = cachedRes ? parseInt(cachedRes.headers.get("X-EPG-Fetch-Time")) : NaN;
+    const fresh = cachedRes && !forceRefresh && (Number.isNaN(fetchTime) || Date.now() - fetchTime < cacheTtl * 1000);
+    if (!forceRefresh) recordCache('edge', Boolean(fresh));
+    if (fresh) {
       return {
         stream: cachedRes.body,
         headers: cachedRes.headers,
-        isGzip: isGzipContent(cachedRes.headers, targetUrl)
+        isGzip: isGzipContent(cachedRes.headers, targetUrl),
+        notModified: false,
+        validators: getValidators(cachedRes.headers),
+        fetchTime: Number.isNaN(fetchTime) ? null : fetchTime
       };
     }
+    if (cachedRes && revalidate) {
+      staleRes = cachedRes;
+    } else if (cachedRes && cachedRes.body) {
+      cachedRes.body.cancel().catch(() => {});
+    }
   }
 
+  // 优先使用边缘缓存副本的校验值，没有副本时使用调用方的校验值
+  const conditional = staleRes ? getValidators(staleRes.headers) : (revalidate ? validators : null);
+  const requestHeaders = {};
+  if (conditional && conditional.etag) requestHeaders['If-None-Match'] = conditional.etag;
+  if (conditional && conditional.lastModified) requestHeaders['If-Modified-Since'] = conditional.lastModified;
+
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), fetchTimeout);
+  const startTime = Date.now();
+  incCounter('epg_upstream_fetches_total', { source: metricSource });
 
   try {
-    const originRes = await fetch(targetUrl, { signal: controller.signal });
+    const originRes = await fetch(targetUrl, { signal: controller.signal, headers: requestHeaders });
     clearTimeout(timeoutId);
 
+    if (originRes.status === 304 && Object.keys(requestHeaders).length > 0) {
+      incCounter('epg_upstream_not_modified_total', { source: metricSource });
+      return reuseNotModified(ctx, cache, cacheKey, staleRes, originRes, validators, cacheTtl, targetUrl);
+    }
+    if (staleRes && staleRes.body) staleRes.body.cancel().catch(() => {});
+
     if (!originRes.ok) throw new Error(`Status ${originRes.status}`);
 
     const contentLength = originRes.headers.get("content-length");
@@ -545,253 +487,1536 @@ export async function getSourceStream(ctx, targetUrl, env) {
         throw new Error(`Too large (${contentLength} bytes)`);
     }
 
+    const fetchTime = Date.now();
+    // 统计下载量与耗时 (数据流读取完毕时记录)
+    const body = originRes.body ? originRes.body.pipeThrough(createFetchMeter(metricSource, startTime)) : originRes.body;
+
     if (cache) {
-      const [streamForCache, streamForUse] = originRes.body.tee();
+      const [streamForCache, streamForUse] = body.tee();
       const responseToCache = new Response(streamForCache, {
         headers: originRes.headers,
         status: originRes.status,
         statusText: originRes.statusText
       });
       
-      responseToCache.headers.set("Cache-Control", `public, max-age=${cacheTtl}`);
+      responseToCache.headers.set("Cache-Control", `public, max-age=${cacheTtl + EDGE_STALE_RETENTION}`);
       responseToCache.headers.delete("Vary");
       responseToCache.headers.delete("Set-Cookie");
-      responseToCache.headers.set("X-EPG-Fetch-Time", Date.now().toString());
+      responseToCache.headers.set("X-EPG-Fetch-Time", fetchTime.toString());
 
       ctx.waitUntil(cache.put(cacheKey, responseToCache));
 
       return {
         stream: streamForUse,
         headers: originRes.headers,
-        isGzip: isGzipContent(originRes.headers, targetUrl)
+        isGzip: isGzipContent(originRes.headers, targetUrl),
+        notModified: false,
+        validators: getValidators(originRes.headers),
+        fetchTime
       };
     } else {
       return {
-        stream: originRes.body,
+        stream: body,
         headers: originRes.headers,
-        isGzip: isGzipContent(originRes.headers, targetUrl)
+        isGzip: isGzipContent(originRes.headers, targetUrl),
+        notModified: false,
+        validators: getValidators(originRes.headers),
+        fetchTime
       };
     }
   } catch (err) {
     clearTimeout(timeoutId);
+    if (staleRes && staleRes.body) staleRes.body.cancel().catch(() => {});
+    incCounter('epg_upstream_fetch_failures_total', { source: metricSource });
     if (err.name === 'AbortError') throw new Error(`Timeout (${fetchTimeout}ms)`);
     throw err;
   }
 }
 
+/**
+ * [v5.9] 上游返回 304：刷新边缘缓存副本的获取时间 (重新写入)，并决定返回哪份数据
+ * 调用方的校验值与边缘副本一致 (或没有边缘副本) 时返回 stream: null，由调用方沿用自己的副本
+ */
+function reuseNotModified(ctx, cache, cacheKey, staleRes, originRes, validators, cacheTtl, targetUrl) {
+  const fetchTime = Date.now();
+  if (!staleRes) {
+    return { stream: null, headers: originRes.headers, isGzip: false, notModified: true, validators, fetchTime };
+  }
+
+  const cachedValidators = getValidators(staleRes.headers);
+  const callerIsCurrent = Boolean(validators) && sameValidators(validators, cachedValidators);
+  let stream = null;
+  let bodyForCache = staleRes.body;
+  if (!callerIsCurrent) {
+    [bodyForCache, stream] = staleRes.body.tee();
+  }
+
+  const refreshed = new Response(bodyForCache, staleRes);
+  // 304 中可能带有更新后的校验值
+  for (const name of ['ETag', 'Last-Modified']) {
+    const value = originRes.headers.get(name);
+    if (value) refreshed.headers.set(name, value);
+  }
+  refreshed.headers.set("Cache-Control", `public, max-age=${cacheTtl + EDGE_STALE_RETENTION}`);
+  refreshed.headers.set("X-EPG-Fetch-Time", fetchTime.toString());
+  refreshed.headers.set("X-EPG-Not-Modified", "true");
+  ctx.waitUntil(cache.put(cacheKey, refreshed));
+
+  return {
+    stream,
+    headers: refreshed.headers,
+    isGzip: isGzipContent(staleRes.headers, targetUrl),
+    notModified: true,
+    validators: getValidators(refreshed.headers),
+    fetchTime
+  };
+}
+
+/**
+ * 读取上游响应的校验值
+ */
+function getValidators(headers) {
+  return { etag: headers.get('ETag'), lastModified: headers.get('Last-Modified') };
+}
+
+function sameValidators(a, b) {
+  if (a.etag || b.etag) return a.etag === b.etag;
+  return Boolean(a.lastModified) && a.lastModified === b.lastModified;
+}
+
 // =========================================================
 // 2. 文件下载处理 (XML/GZ)
+// [v4.0] 默认仅输出优先级最高的源；merge=1 (或 DOWNLOAD_MERGE=true) 时合并全部数据源
+// [v4.3] 支持按 M3U 播放列表裁剪：playlist=<播放列表地址>，或以 POST 正文提交播放列表；
+//        未匹配条目数量通过响应头返回，report=1 时直接返回 JSON 匹配报告
+// [v4.4] days=N / past=M 只输出 [今天-M, 今天+N) 范围内的节目 (按 EPG_TIMEZONE 划分日期)
+// [v6.0] ETag 由数据源版本与输出参数计算，Last-Modified 取数据源的更新时间；支持 304 与 HEAD
 // =========================================================
-export async function handleDownload(ctx, targetFormat, sourceUrl, env) {
+export async function handleDownload(request, url, ctx, env, targetFormat) {
+  const sources = getSources(env);
+  const mergeParam = url.searchParams.get('merge');
+  const merge = sources.length > 1 &&
+    (mergeParam !== null ? ['1', 'true'].includes(mergeParam.toLowerCase()) : env.DOWNLOAD_MERGE === 'true');
+
   try {
-    const source = await getSourceStream(ctx, sourceUrl, env);
-    const cacheTtl = parseInt(env.CACHE_TTL) || DEFAULT_CACHE_TTL;
-    
-    let finalStream = source.stream;
-    let contentType = "";
+    const cacheTtl = getSourceTtl(sources[0], env);
+    const contentType = targetFormat === 'gz' ? "application/gzip" : "application/xml; charset=utf-8";
+    const headers = {
+      "Content-Type": contentType,
+      "Cache-Control": `public, max-age=${cacheTtl}`,
+      ...CORS_HEADERS
+    };
 
-    if (targetFormat === 'xml') {
-      contentType = "application/xml; charset=utf-8";
-      if (source.isGzip) finalStream = finalStream.pipeThrough(new DecompressionStream('gzip'));
-    } else if (targetFormat === 'gz') {
-      contentType = "application/gzip";
-      if (!source.isGzip) finalStream = finalStream.pipeThrough(new CompressionStream('gzip'));
+    const window = getDownloadWindow(url, env);
+    const script = parseScript(url.searchParams.get('script') || env.EPG_SCRIPT);
+    if (window === false) {
+      return new Response("Parameter Error: days must be a positive integer and past a non-negative integer", { status: 400, headers: CORS_HEADERS });
     }
 
-    return new Response(finalStream, {
-      headers: {
-        "Content-Type": contentType,
-        "Cache-Control": `public, max-age=${cacheTtl}`,
-        ...CORS_HEADERS
+    const playlistUrl = url.searchParams.get('playlist');
+    if (request.method !== 'POST' && playlistUrl && !isPlaylistUrlAllowed(playlistUrl, env)) {
+      return new Response("Playlist Error: playlist URL is not allowed (see PLAYLIST_HOSTS)", { status: 403, headers: CORS_HEADERS });
+    }
+    const playlist = await readPlaylist(request, url, env);
+    if (playlist && playlist.length === 0) {
+      return new Response("Playlist Error: no #EXTINF entries found", { status: 400, headers: CORS_HEADERS });
+    }
+
+    // [v6.0] 正文延迟到确认需要时再创建 (304 / HEAD 不读取上游数据)
+    let createBody;
+    let discard;
+    let versions;
+    if (merge || playlist) {
+      const output = await prepareFilteredOutput(ctx, merge ? sources : sources.slice(0, 1), env, playlist);
+      if (output.report) {
+        if (url.searchParams.get('report') === '1') return finalizeResponse(request, jsonResponse(output.report));
+        headers["X-EPG-Playlist-Matched"] = String(output.report.matched);
+        headers["X-EPG-Playlist-Unmatched"] = String(output.report.unmatched_count);
       }
-    });
+      versions = output.versions;
+      createBody = () => encodeTextStream(applyTextFilters(output.createStream(), window, script, url, env), targetFormat);
+    } else {
+      const source = await getSourceStream(ctx, sources[0], env);
+      versions = [getSourceVersion(source.validators, source.fetchTime)];
+      discard = () => source.stream.cancel().catch(() => {});
+      if (window || script || isLogoProxyEnabled(env)) {
+        createBody = () => encodeTextStream(applyTextFilters(toTextStream(source.stream, source.isGzip), window, script, url, env), targetFormat);
+      } else {
+        createBody = () => {
+          let finalStream = source.stream;
+          if (targetFormat === 'xml') {
+            if (source.isGzip) finalStream = finalStream.pipeThrough(new DecompressionStream('gzip'));
+          } else if (targetFormat === 'gz') {
+            if (!source.isGzip) finalStream = finalStream.pipeThrough(new CompressionStream('gzip'));
+          }
+          return finalStream;
+        };
+      }
+    }
+
+    Object.assign(headers, await getEntityHeaders(versions, [
+      targetFormat,
+      merge,
+      window && [window.start, window.end],
+      script,
+      isLogoProxyEnabled(env) && url.origin,
+      playlist
+    ], window ? window.start : 0));
+
+    return streamResponse(request, headers, createBody, discard);
   } catch (e) {
     return new Response(`Download Error: ${e.message}`, { status: 502, headers: CORS_HEADERS });
   }
 }
 
-// =========================================================
-// 3. DIYP / 超级直播 接口处理 (已优化归一化逻辑)
-// =========================================================
-export async function handleDiyp(request, url, ctx, env) {
-  const cacheTtl = parseInt(env.CACHE_TTL) || DEFAULT_CACHE_TTL;
-  const cache = (typeof caches !== 'undefined') ? caches.default : null;
-  
-  // 获取原始参数并进行标准化清洗
-  const rawCh = getRawQueryParam(url, 'ch', 'channel', 'id');
-  const ch = normalizeChannelId(rawCh);
+/**
+ * 解析下载时间窗口参数
+ * days: 从今天起输出的天数 (不传则不限制结束时间)；past: 保留今天之前的天数 (默认 0)
+ * 与窗口有交集的节目都会保留，跨零点的节目不会被截掉
+ * @returns {{start: number, end: number|null}|null|false} 未指定返回 null，参数非法返回 false
+ */
+function getDownloadWindow(url, env) {
+  const daysParam = url.searchParams.get('days');
+  const pastParam = url.searchParams.get('past');
+  if (daysParam === null && pastParam === null) return null;
 
-  // 构建标准化的 Cache Key，确保不同命名的频道命中同一个缓存
-  const normalizedUrl = new URL(url.toString());
-  if (ch) normalizedUrl.searchParams.set('ch', ch);
-  const cacheKey = new Request(normalizedUrl.toString(), { method: 'GET' });
-  
-  if (cache) {
-    let cachedResponse = await cache.match(cacheKey);
-    if (cachedResponse) return cachedResponse;
+  const days = daysParam === null ? null : Number(daysParam);
+  const past = pastParam === null ? 0 : Number(pastParam);
+  if (days !== null && !(Number.isInteger(days) && days > 0)) return false;
+  if (!(Number.isInteger(past) && past >= 0)) return false;
+
+  const timeZone = getTimeZone(env);
+  const today = formatZonedDate(Date.now(), timeZone);
+  return {
+    start: getZonedDayRange(shiftDate(today, -past), timeZone).start,
+    end: days === null ? null : getZonedDayRange(shiftDate(today, days), timeZone).start
+  };
+}
+
+/**
+ * 对输出文本流应用日期窗口裁剪、字形转换与台标地址改写 (均为可选)
+ */
+function applyTextFilters(textStream, window, script, url, env) {
+  let stream = textStream;
+  if (window) stream = stream.pipeThrough(createWindowTransform(window.start, window.end, getTimeZone(env)));
+  if (script) {
+    stream = stream.pipeThrough(createElementTransform({
+      onProgramme: (block) => block.replace(PROG_TEXT_REGEX, (m, open, tag, text, close) =>
+        `${open}${convertScript(text, script)}${close}`)
+    }));
+  }
+  if (isLogoProxyEnabled(env)) {
+    stream = stream.pipeThrough(createElementTransform({
+      onChannel: (block) => {
+        const idMatch = block.match(CHANNEL_ID_REGEX);
+        if (!idMatch) return block;
+        return block.replace(CHANNEL_ICON_SRC_REGEX, (m, prefix, src, suffix) =>
+          src ? `${prefix}${getLogoProxyUrl(url, idMatch[1])}${suffix}` : m);
+      }
+    }));
   }
+  return stream;
+}
 
-  let date = url.searchParams.get('date');
-  const currentPath = url.pathname;
-  
-  if (date) {
-    const m = date.match(/^DATE(\d+)SUB$/i);
-    if (m) {
-      const subDays = parseInt(m[1], 10);
-      const d = new Date();
-      d.setDate(d.getDate() - subDays);
-      date = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+/**
+ * 读取播放列表 (POST 正文优先，其次 playlist 参数指定的地址)
+ * 远程播放列表由客户端指定，因此直接下载、不写入边缘缓存，大小限制为 MAX_PLAYLIST_BYTES
+ * @returns {Promise<Array<Object>|null>} 未提供播放列表时返回 null
+ */
+async function readPlaylist(request, url, env) {
+  if (request.method === 'POST') {
+    if (!request.body) return parseM3u('');
+    try {
+      return parseM3u(new TextDecoder().decode(await readLimited(request.body, MAX_PLAYLIST_BYTES)));
+    } catch (err) {
+      throw new Error(`Playlist ${err.message}`);
     }
   }
-  
-  if (!ch || !date) {
-    return new Response(JSON.stringify({ code: 400, message: "Missing params: ch or date" }), {
-      headers: { 'content-type': 'application/json', ...CORS_HEADERS }
-    });
-  }
+  const playlistUrl = url.searchParams.get('playlist');
+  if (!playlistUrl) return null;
+
+  const fetchTimeout = parseInt(env.FETCH_TIMEOUT) || DEFAULT_FETCH_TIMEOUT;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), fetchTimeout);
+  const startTime = Date.now();
+  incCounter('epg_upstream_fetches_total', { source: 'playlist' });
 
-  // 获取数据
-  let result = await fetchAndFind(ctx, env.EPG_URL, ch, date, url.origin, env, currentPath);
+  try {
+    const res = await fetch(playlistUrl, { signal: controller.signal });
+    if (!res.ok) throw new Error(`Status ${res.status}`);
+    const contentLength = parseInt(res.headers.get('content-length'));
+    if (contentLength > MAX_PLAYLIST_BYTES) throw new Error(`Too large (${contentLength} bytes)`);
 
-  // 备用源逻辑
-  if (result.programs.length === 0 && env.EPG_URL_BACKUP) {
-    const backupResult = await fetchAndFind(ctx, env.EPG_URL_BACKUP, ch, date, url.origin, env, currentPath);
-    if (backupResult.programs.length > 0) result = backupResult;
+    let stream = res.body.pipeThrough(createFetchMeter('playlist', startTime));
+    if (isGzipContent(res.headers, playlistUrl)) stream = stream.pipeThrough(new DecompressionStream('gzip'));
+    return parseM3u(new TextDecoder().decode(await readLimited(stream, MAX_PLAYLIST_BYTES)));
+  } catch (err) {
+    incCounter('epg_upstream_fetch_failures_total', { source: 'playlist' });
+    throw new Error(`Playlist ${err.name === 'AbortError' ? `timeout (${fetchTimeout}ms)` : err.message}`);
+  } finally {
+    clearTimeout(timeoutId);
   }
+}
 
-  let finalResponse;
-  if (result.programs.length === 0) {
-    finalResponse = new Response(JSON.stringify({ 
+/**
+ * 远程播放列表地址是否允许下载：仅 http(s)，配置了 PLAYLIST_HOSTS 时主机名须在列表中
+ */
+function isPlaylistUrlAllowed(playlistUrl, env) {
+  let parsed;
+  try {
+    parsed = new URL(playlistUrl);
+  } catch (e) {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+  const hosts = String(env.PLAYLIST_HOSTS || '').split(/[\s,]+/).filter(Boolean).map(host => host.toLowerCase());
+  return hosts.length === 0 || hosts.includes(parsed.hostname.toLowerCase());
+}
+
+/**
+ * 合并 / 裁剪输出：先加载各源索引以规划频道去重、节目优先级与播放列表匹配，再逐源流式输出节目
+ * @returns {Promise<{report: Object|null, versions: Array<Object|null>, createStream: () => ReadableStream<string>}>}
+ *   versions 为各源索引对应的数据源版本 (见 getSourceVersion)
+ */
+async function prepareFilteredOutput(ctx, sources, env, playlist) {
+  const timeZone = getTimeZone(env);
+  const loaded = [];
+  for (const source of sources) {
+    const index = await getSourceIndex(ctx, source, env);
+    if (index) loaded.push({ source, index });
+  }
+  if (loaded.length === 0) throw new Error("No source available");
+
+  const indexes = loaded.map(item => item.index);
+  const flatChannels = await getFlatChannels(ctx, env);
+  const keyOf = name => normalizeChannelId(name, flatChannels);
+  const plan = planMerge(indexes, keyOf);
+
+  let keep = null;
+  let report = null;
+  if (playlist) {
+    const { matched, unmatched } = matchPlaylist(playlist, indexes, keyOf);
+    keep = new Set(matched.map(m => plan.mappings[m.pos].get(m.channelId) || m.channelId));
+    report = {
+      code: 200,
+      message: "请求成功",
+      total: playlist.length,
+      matched: matched.length,
+      unmatched_count: unmatched.length,
+      unmatched: unmatched.map(({ entry, suggestions }) => ({ title: entry.title, tvg_id: entry.tvgId, tvg_name: entry.tvgName, suggestions }))
+    };
+  }
+
+  const openers = loaded.map(({ source }) => async () => {
+    const upstream = await getSourceStream(ctx, source, env);
+    return toTextStream(upstream.stream, upstream.isGzip);
+  });
+
+  return {
+    report,
+    versions: loaded.map(({ source, index }) => getIndexVersion(source, index)),
+    createStream: () => streamFromIterator(mergeXml(indexes, plan, openers, timeZone, keep))
+  };
+}
+
+// =========================================================
+// 3. DIYP / 超级直播 接口处理 (已优化归一化逻辑)
+// [v6.0] 成功响应带有 ETag (按正文内容计算) 与 Last-Modified (数据源最近更新时间)，随响应一起缓存；
+//        缓存命中与新生成的响应均支持 304 与 HEAD
+// =========================================================
+export async function handleDiyp(request, url, ctx, env) {
+  const cacheTtl = parseInt(env.CACHE_TTL) || DEFAULT_CACHE_TTL;
+  const cache = (typeof caches !== 'undefined') ? caches.default : null;
+  
+  // 获取原始参数并进行标准化清洗
+  const rawCh = getRawQueryParam(url, 'ch', 'channel', 'id');
+  const ch = normalizeChannelId(rawCh, await getFlatChannels(ctx, env));
+
+  // 构建标准化的 Cache Key，确保不同命名的频道命中同一个缓存
+  const normalizedUrl = new URL(url.toString());
+  if (ch) normalizedUrl.searchParams.set('ch', ch);
+  // [v5.8] 不同访问密钥共享同一份缓存
+  normalizedUrl.searchParams.delete('key');
+  const cacheKey = new Request(normalizedUrl.toString(), { method: 'GET' });
+  
+  if (cache) {
+    let cachedResponse = await cache.match(cacheKey);
+    // [v5.7] 已被管理接口清除的缓存视为未命中
+    if (cachedResponse && await isResponsePurged(cache, ch, cachedResponse)) {
+      ctx.waitUntil(cache.delete(cacheKey));
+      cachedResponse = null;
+    }
+    recordCache('response', Boolean(cachedResponse));
+    if (cachedResponse) return finalizeResponse(request, unstampCachedAt(cachedResponse));
+  }
+
+  // [v4.7] 传入 start / end / days 时返回按天分组的多日节目单；单日请求的响应保持不变
+  if (['start', 'end', 'days'].some(name => url.searchParams.has(name))) {
+    let rangeResponse = await buildRangeResponse(ch, rawCh, url, ctx, env);
+    if (rangeResponse.status === 200) {
+      rangeResponse = await withEntityTag(rangeResponse, env);
+      if (cache) ctx.waitUntil(cache.put(cacheKey, stampCachedAt(rangeResponse.clone())));
+    }
+    return finalizeResponse(request, rangeResponse);
+  }
+
+  const date = resolveDateKeyword(url.searchParams.get('date'), env);
+  const currentPath = url.pathname;
+  
+  if (!ch || !date) {
+    return new Response(JSON.stringify({ code: 400, message: "Missing params: ch or date" }), {
+      headers: { 'content-type': 'application/json', ...CORS_HEADERS }
+    });
+  }
+
+  // 按优先级依次查询各数据源，命中即停止
+  const lookup = async (name) => {
+    let found = { programs: [], response: {} };
+    for (const source of getSources(env)) {
+      found = await fetchAndFind(ctx, source, name, date, url.origin, env, currentPath, getQueryOptions(url, env));
+      if (found.programs.length > 0) break;
+    }
+    return found;
+  };
+  let result = await lookup(ch);
+
+  // [v5.2] 所有数据源都不认识该频道名时，用模糊匹配兜底
+  let suggestions;
+  if (result.programs.length === 0) {
+    const fuzzy = await fuzzyLookup(createIndexLoader(ctx, env), ch, rawCh, env);
+    if (fuzzy.match) result = await lookup(fuzzy.match.name);
+    suggestions = fuzzy.suggestions;
+  }
+
+  let finalResponse;
+  if (result.programs.length === 0) {
+    finalResponse = new Response(JSON.stringify({ 
       code: 404, 
       message: "No programs found",
-      debug_info: { channel: ch, original_input: rawCh, date: date }
+      debug_info: { channel: ch, original_input: rawCh, date: date },
+      suggestions
     }), {
       headers: { 'content-type': 'application/json; charset=utf-8', ...CORS_HEADERS },
       status: 404
     });
   } else {
-    finalResponse = new Response(JSON.stringify(result.response), {
+    result.response.icon = rewriteIcon(result.response.icon, result.response.channel_id, url, env);
+    finalResponse = await withEntityTag(new Response(JSON.stringify(result.response), {
       headers: {
         'content-type': 'application/json; charset=utf-8',
         'Cache-Control': `public, max-age=${cacheTtl}`,
         ...CORS_HEADERS
       }
-    });
+    }), env);
+
+    if (cache) ctx.waitUntil(cache.put(cacheKey, stampCachedAt(finalResponse.clone())));
+  }
+
+  return finalizeResponse(request, finalResponse);
+}
+
+/**
+ * [v6.0] 为 JSON 响应添加 ETag (正文摘要) 与 Last-Modified (各数据源内存索引中最近的获取时间)
+ * date=today 等相对日期的结果随日期变化，Last-Modified 不早于当天零点 (EPG_TIMEZONE)
+ */
+async function withEntityTag(response, env) {
+  const body = await response.text();
+  const tagged = new Response(body, response);
+  tagged.headers.set('ETag', `W/"${await hashText(body)}"`);
+
+  const fetchTimes = getSources(env)
+    .map(source => MEMORY_CACHE_MAP.get(source.url))
+    .filter(item => item && item.index && item.fetchTime)
+    .map(item => item.fetchTime);
+  if (fetchTimes.length > 0) {
+    const timeZone = getTimeZone(env);
+    const todayStart = getZonedDayRange(formatZonedDate(Date.now(), timeZone), timeZone).start;
+    tagged.headers.set('Last-Modified', new Date(Math.max(todayStart, ...fetchTimes)).toUTCString());
+  }
+  return tagged;
+}
+
+/**
+ * [v5.7] 写入缓存前记录写入时间，用于判断是否已被管理接口清除
+ */
+function stampCachedAt(response) {
+  const stamped = new Response(response.body, response);
+  stamped.headers.set(CACHED_AT_HEADER, String(Date.now()));
+  return stamped;
+}
+
+/**
+ * 返回缓存的响应前去掉写入时间 (仅供内部判断，不发给客户端)
+ */
+function unstampCachedAt(response) {
+  const result = new Response(response.body, response);
+  result.headers.delete(CACHED_AT_HEADER);
+  return result;
+}
+
+/**
+ * [v5.7] 缓存的 DIYP 响应是否早于失效标记 (全部清除或该频道被清除)
+ */
+async function isResponsePurged(cache, ch, response) {
+  const markers = await getPurgeMarkers(cache);
+  const cachedAt = parseInt(response.headers.get(CACHED_AT_HEADER)) || 0;
+  return cachedAt < Math.max(markers.all, markers.channels[ch] || 0);
+}
+
+/**
+ * 读取失效标记：当前节点内存中的标记每隔 PURGE_MARKER_REFRESH 与 Cache API 中的标记合并一次，
+ * 其他节点执行的清除最迟在该间隔后生效
+ */
+async function getPurgeMarkers(cache) {
+  const now = Date.now();
+  if (cache && now - PURGE_MARKERS.loadedAt >= PURGE_MARKER_REFRESH) {
+    PURGE_MARKERS.loadedAt = now;
+    try {
+      const res = await cache.match(new Request(PURGE_MARKER_URL, { method: 'GET' }));
+      if (res) mergePurgeMarkers(await res.json());
+    } catch (e) {
+      console.error("Load purge markers failed:", e.message);
+    }
+  }
+  return PURGE_MARKERS;
+}
+
+function mergePurgeMarkers({ all = 0, channels = {} }) {
+  PURGE_MARKERS.all = Math.max(PURGE_MARKERS.all, all);
+  for (const [ch, time] of Object.entries(channels)) {
+    PURGE_MARKERS.channels[ch] = Math.max(PURGE_MARKERS.channels[ch] || 0, time);
+  }
+}
+
+/**
+ * 使 DIYP 响应缓存失效
+ * @param {string|null} ch 归一化后的频道名，null 表示全部频道
+ */
+async function purgeResponses(cache, ch, env) {
+  const cacheTtl = parseInt(env.CACHE_TTL) || DEFAULT_CACHE_TTL;
+  const now = Date.now();
 
-    if (cache) ctx.waitUntil(cache.put(cacheKey, finalResponse.clone()));
+  // 先合并其他节点写入的标记，避免相互覆盖
+  PURGE_MARKERS.loadedAt = 0;
+  await getPurgeMarkers(cache);
+  if (ch) {
+    PURGE_MARKERS.channels[ch] = now;
+  } else {
+    PURGE_MARKERS.all = now;
   }
 
-  return finalResponse;
+  // 超过 CACHE_TTL 的标记已无意义 (更早写入的响应缓存均已过期)
+  for (const [key, time] of Object.entries(PURGE_MARKERS.channels)) {
+    if (time <= PURGE_MARKERS.all || now - time > cacheTtl * 1000) delete PURGE_MARKERS.channels[key];
+  }
+
+  if (cache) {
+    const body = JSON.stringify({ all: PURGE_MARKERS.all, channels: PURGE_MARKERS.channels });
+    await cache.put(new Request(PURGE_MARKER_URL, { method: 'GET' }), new Response(body, {
+      headers: { 'content-type': 'application/json', 'Cache-Control': `public, max-age=${cacheTtl}` }
+    }));
+  }
 }
 
 /**
- * 核心并发与容灾逻辑 (保持不变)
+ * 多日节目单响应：days 数组中每一项为 { date, epg_data }，epg_data 与单日响应格式相同
  */
-async function fetchAndFind(ctx, sourceUrl, ch, date, originUrl, env, currentPath) {
+async function buildRangeResponse(ch, rawCh, url, ctx, env) {
   const cacheTtl = parseInt(env.CACHE_TTL) || DEFAULT_CACHE_TTL;
+  if (!ch) return jsonResponse({ code: 400, message: "Missing params: ch" }, 400);
+
+  const range = resolveDateRange({
+    date: url.searchParams.get('date'),
+    start: url.searchParams.get('start'),
+    end: url.searchParams.get('end'),
+    days: url.searchParams.get('days')
+  }, env);
+  if (range.error) return jsonResponse({ code: 400, message: range.error }, 400);
+
+  const start = range.dates[0];
+  const end = range.dates[range.dates.length - 1];
+  const { info, epg, suggestions } = await findScheduleWithFuzzy(createIndexLoader(ctx, env), ch, rawCh, range.dates, url, env, getQueryOptions(url, env));
+  if (!info) {
+    return jsonResponse({
+      code: 404,
+      message: "No programs found",
+      debug_info: { channel: ch, original_input: rawCh, start, end },
+      suggestions
+    }, 404);
+  }
+
+  return jsonResponse({
+    code: 200,
+    message: "请求成功",
+    channel_id: info.channel_id,
+    channel_name: info.channel_name,
+    start,
+    end,
+    url: info.url,
+    icon: rewriteIcon(info.icon, info.channel_id, url, env),
+    days: range.dates.map(date => ({ date, epg_data: epg[date] }))
+  }, 200, { 'Cache-Control': `public, max-age=${cacheTtl}` });
+}
+
+/**
+ * 核心并发与容灾逻辑
+ * [v3.6] 内存缓存保存的是解析后的索引而非原始文本，查询直接命中 Map
+ */
+async function fetchAndFind(ctx, source, ch, date, originUrl, env, currentPath, options) {
+  const index = await getSourceIndex(ctx, source, env);
+  if (!index) return { programs: [], response: {} };
+  return smartFind(index, ch, date, originUrl, currentPath, getTimeZone(env), options);
+}
+
+/**
+ * 获取数据源索引：内存命中 -> 合并并发请求 -> 下载并构建索引
+ * 失败时进入熔断冷却期，并降级返回旧索引 (若有)
+ * [v5.4] forceRefresh 时忽略内存缓存与熔断冷却，重新下载并替换索引 (失败时保留旧索引)
+ * [v5.9] 内存索引过期后以其 ETag / Last-Modified 发起条件请求，上游返回 304 时直接续期，不重建索引；
+ *        revalidate=false 时无条件重新下载 (管理接口强制刷新)
+ * 需要多个数据源时由调用方依次 await，不并发加载，避免多个大文件同时驻留内存
+ */
+async function getSourceIndex(ctx, source, env, { forceRefresh = false, revalidate = true } = {}) {
+  const sourceUrl = source.url;
+  const cacheTtl = getSourceTtl(source, env);
   const errorCooldown = parseInt(env.ERROR_COOLDOWN_MS) || DEFAULT_ERROR_COOLDOWN;
   const maxMemoryCache = parseInt(env.MAX_MEMORY_CACHE_CHARS) || DEFAULT_MAX_MEMORY_CACHE;
   
   const now = Date.now();
   let cachedItem = MEMORY_CACHE_MAP.get(sourceUrl);
 
-  if (cachedItem && cachedItem.lastErrorTime) {
+  if (!forceRefresh && cachedItem && cachedItem.lastErrorTime) {
     const elapsed = now - cachedItem.lastErrorTime;
     if (elapsed < errorCooldown) {
-      if (cachedItem.text) return smartFind(cachedItem.text, ch, date, originUrl, currentPath);
-      return { programs: [], response: {} };
+      incCounter('epg_breaker_short_circuits_total', { source: source.key });
+      return cachedItem.index || null;
     }
   }
 
-  if (cachedItem && cachedItem.text && now < cachedItem.expireTime) {
-    return smartFind(cachedItem.text, ch, date, originUrl, currentPath);
+  if (!forceRefresh && cachedItem && cachedItem.index && now < cachedItem.expireTime) {
+    recordCache('memory', true);
+    return cachedItem.index;
   }
+  if (!forceRefresh) recordCache('memory', false);
 
   if (PENDING_REQUESTS.has(sourceUrl)) {
+    incCounter('epg_coalesced_requests_total', { source: source.key });
     try {
-        const xmlText = await PENDING_REQUESTS.get(sourceUrl);
-        return smartFind(xmlText, ch, date, originUrl, currentPath);
+        return (await PENDING_REQUESTS.get(sourceUrl)).index;
     } catch (e) {
         PENDING_REQUESTS.delete(sourceUrl);
     }
   }
 
+  // 下载、解压并一次性构建索引，原始文本在此函数结束后即可被回收
+  const current = cachedItem && cachedItem.index ? cachedItem : null;
   const fetchPromise = (async () => {
-    const source = await getSourceStream(ctx, sourceUrl, env);
-    let stream = source.stream;
-    if (source.isGzip) stream = stream.pipeThrough(new DecompressionStream('gzip'));
-    return await new Response(stream).text();
+    const upstream = await getSourceStream(ctx, source, env, {
+      forceRefresh,
+      revalidate,
+      validators: current ? current.validators : null
+    });
+    // 上游未变更且内存中的索引即为最新：沿用旧索引
+    if (upstream.stream === null) return { index: current.index, notModified: true, validators: upstream.validators };
+
+    let stream = upstream.stream;
+    if (upstream.isGzip) stream = stream.pipeThrough(new DecompressionStream('gzip'));
+    const xmlText = await new Response(stream).text();
+    const index = buildEpgIndex(xmlText, getTimeZone(env));
+    index.size = xmlText.length;
+    return { index, notModified: upstream.notModified, validators: upstream.validators };
   })();
 
   PENDING_REQUESTS.set(sourceUrl, fetchPromise);
 
   try {
-    const xmlText = await fetchPromise;
-    if (xmlText.length < maxMemoryCache) {
-        if (MEMORY_CACHE_MAP.size >= 5 && !MEMORY_CACHE_MAP.has(sourceUrl)) {
+    const { index, notModified, validators } = await fetchPromise;
+    if (index.size < maxMemoryCache) {
+        // 内存缓存条目上限至少容纳全部已配置的数据源
+        const maxEntries = Math.max(DEFAULT_MAX_MEMORY_ENTRIES, getSources(env).length);
+        if (MEMORY_CACHE_MAP.size >= maxEntries && !MEMORY_CACHE_MAP.has(sourceUrl)) {
             const firstKey = MEMORY_CACHE_MAP.keys().next().value;
             MEMORY_CACHE_MAP.delete(firstKey);
         }
+        // [v5.9] fetchTime 为最近一次确认数据最新的时间 (含 304)；notModified 表示该次上游返回 304
         MEMORY_CACHE_MAP.set(sourceUrl, {
-            text: xmlText,
+            index: index,
             expireTime: now + (cacheTtl * 1000),
             fetchTime: now,
             lastErrorTime: 0,
-            errorMsg: null
+            errorMsg: null,
+            validators,
+            notModified
         });
     }
-    return smartFind(xmlText, ch, date, originUrl, currentPath);
+    return index;
   } catch (e) {
     const existing = MEMORY_CACHE_MAP.get(sourceUrl) || {};
-    MEMORY_CACHE_MAP.set(sourceUrl, { ...existing, lastErrorTime: now, fetchTime: now, errorMsg: e.message });
-    if (existing && existing.text) return smartFind(existing.text, ch, date, originUrl, currentPath);
-    return { programs: [], response: {} };
+    // fetchTime 保留上次成功获取的时间，失败时间记录在 lastErrorTime
+    MEMORY_CACHE_MAP.set(sourceUrl, { ...existing, lastErrorTime: now, errorMsg: e.message });
+    return existing.index || null;
   } finally {
     PENDING_REQUESTS.delete(sourceUrl);
   }
 }
 
+// =========================================================
+// 4. 频道目录接口 (/epg/channels)
+// [v4.2] 列出各数据源中的全部频道，便于排查频道名无法匹配的问题
+// 可选参数：q (按名称/ID 模糊搜索)、source (按数据源 key 过滤)
+// =========================================================
+export async function handleChannels(request, url, ctx, env) {
+  const cacheTtl = parseInt(env.CACHE_TTL) || DEFAULT_CACHE_TTL;
+  const timeZone = getTimeZone(env);
+  const flatChannels = await getFlatChannels(ctx, env);
+
+  const keyword = normalizeName(url.searchParams.get('q') || '');
+  const sourceFilter = url.searchParams.get('source');
+  const sources = getSources(env).filter(source => !sourceFilter || source.key === sourceFilter);
+
+  const channels = [];
+  for (const source of sources) {
+    const index = await getSourceIndex(ctx, source, env);
+    if (!index) continue;
+
+    for (const channel of index.channels.values()) {
+      if (keyword) {
+        const haystack = [channel.id, ...channel.names].map(normalizeName);
+        if (!haystack.some(name => name.includes(keyword))) continue;
+      }
+
+      const programmes = index.programmes.get(channel.id) || [];
+      const last = programmes[programmes.length - 1];
+      channels.push({
+        id: channel.id,
+        names: channel.names,
+        icon: channel.icon,
+        source: source.key,
+        source_name: source.name,
+        normalized: normalizeChannelId(channel.name, flatChannels),
+        programme_count: programmes.length,
+        first_date: programmes.length ? formatZonedDate(programmes[0].start, timeZone) : null,
+        last_date: last ? formatZonedDate(last.stop !== null ? last.stop - 1 : last.start, timeZone) : null
+      });
+    }
+  }
+
+  return jsonResponse({
+    code: 200,
+    message: "请求成功",
+    total: channels.length,
+    channels
+  }, 200, { 'Cache-Control': `public, max-age=${cacheTtl}` });
+}
+
+// =========================================================
+// 5. 正在播出接口 (/epg/now)
+// [v4.5] 返回当前节目 (含进度与剩余时间) 及随后 n 个节目，供播放器信息条使用
+// 缓存时间对齐节目切换时刻，且不超过 NOW_MAX_AGE，保证进度信息不会过于陈旧
+// =========================================================
+export async function handleNow(request, url, ctx, env) {
+  const cacheTtl = parseInt(env.CACHE_TTL) || DEFAULT_CACHE_TTL;
+  const rawCh = getRawQueryParam(url, 'ch', 'channel', 'id');
+  const ch = normalizeChannelId(rawCh, await getFlatChannels(ctx, env));
+  if (!ch) {
+    return jsonResponse({ code: 400, message: "Missing params: ch" }, 400);
+  }
+
+  const nParam = url.searchParams.get('n');
+  const count = nParam === null ? DEFAULT_NOW_COUNT : Math.min(Math.max(parseInt(nParam) || 0, 0), MAX_NOW_COUNT);
+  const now = Date.now();
+
+  // 数据源查询顺序与 DIYP 接口相同
+  const indexOf = createIndexLoader(ctx, env);
+  const lookup = async (name) => {
+    let found = null;
+    for (const source of getSources(env)) {
+      const index = await indexOf(source);
+      if (!index) continue;
+      found = smartFindNow(index, name, now, count, url.origin, url.pathname, getTimeZone(env), getQueryOptions(url, env));
+      if (found.found) break;
+    }
+    return found;
+  };
+  let result = await lookup(ch);
+
+  // [v5.2] 模糊匹配兜底
+  let suggestions;
+  if (!result || !result.found) {
+    const fuzzy = await fuzzyLookup(indexOf, ch, rawCh, env);
+    if (fuzzy.match) result = await lookup(fuzzy.match.name);
+    suggestions = fuzzy.suggestions;
+  }
+
+  if (!result || !result.found) {
+    return jsonResponse({
+      code: 404,
+      message: "No programs found",
+      debug_info: { channel: ch, original_input: rawCh },
+      suggestions
+    }, 404);
+  }
+
+  const untilBoundary = result.boundary === null ? cacheTtl : Math.ceil((result.boundary - now) / 1000);
+  const maxAge = Math.max(1, Math.min(untilBoundary, cacheTtl, NOW_MAX_AGE));
+  result.response.icon = rewriteIcon(result.response.icon, result.response.channel_id, url, env);
+  return jsonResponse(result.response, 200, { 'Cache-Control': `public, max-age=${maxAge}` });
+}
+
+// =========================================================
+// 6. 批量查询接口 (/epg/batch)
+// [v4.6] 一次请求返回多个频道、多天的节目单，用于客户端启动时预取
+// GET: ch=CCTV1,湖南卫视 (可重复) + date / start&end / start&days
+// POST: JSON { "channels": [...], "date" | "start", "end" | "days", "extended", "lang", "script" }
+// 每个频道、每一天都按数据源优先级回退 (与 DIYP 接口一致)，未找到的频道单独标记，不影响整批结果
+// =========================================================
+export async function handleBatch(request, url, ctx, env) {
+  const cacheTtl = parseInt(env.CACHE_TTL) || DEFAULT_CACHE_TTL;
+
+  let params;
+  if (request.method === 'POST') {
+    try {
+      const body = await request.json();
+      params = Array.isArray(body) ? { channels: body } : body;
+    } catch (e) {
+      return jsonResponse({ code: 400, message: `Invalid JSON body: ${e.message}` }, 400);
+    }
+    const typeError = validateBatchBody(params);
+    if (typeError) return jsonResponse({ code: 400, message: typeError }, 400);
+  } else {
+    params = {
+      channels: getRawQueryParamAll(url, 'ch'),
+      date: url.searchParams.get('date'),
+      start: url.searchParams.get('start'),
+      end: url.searchParams.get('end'),
+      days: url.searchParams.get('days')
+    };
+  }
+
+  const inputs = (Array.isArray(params.channels) ? params.channels : [])
+    .filter(name => typeof name === 'string' && name.trim());
+  if (inputs.length === 0) {
+    return jsonResponse({ code: 400, message: "Missing params: ch" }, 400);
+  }
+  if (inputs.length > MAX_BATCH_CHANNELS) {
+    return jsonResponse({ code: 400, message: `Too many channels (max ${MAX_BATCH_CHANNELS})` }, 400);
+  }
+
+  const range = resolveDateRange(params, env);
+  if (range.error) return jsonResponse({ code: 400, message: range.error }, 400);
+
+  const overrides = {};
+  if (params.extended === true) overrides.extended = true;
+  if (typeof params.lang === 'string' && params.lang) overrides.langs = parseLangs(params.lang);
+  if (typeof params.script === 'string' && params.script) overrides.script = parseScript(params.script);
+  const options = getQueryOptions(url, env, overrides);
+  const indexOf = createIndexLoader(ctx, env);
+  const flatChannels = await getFlatChannels(ctx, env);
+  const results = [];
+  let found = 0;
+
+  for (const input of inputs) {
+    const ch = normalizeChannelId(input, flatChannels);
+    const { info, epg, suggestions } = await findScheduleWithFuzzy(indexOf, ch, input, range.dates, url, env, options);
+
+    if (info) {
+      found++;
+      results.push({
+        input,
+        code: 200,
+        channel_id: info.channel_id,
+        channel_name: info.channel_name,
+        icon: rewriteIcon(info.icon, info.channel_id, url, env),
+        source: info.source,
+        epg
+      });
+    } else {
+      results.push({ input, code: 404, message: "No programs found", channel: ch, suggestions });
+    }
+  }
+
+  return jsonResponse({
+    code: 200,
+    message: "请求成功",
+    dates: range.dates,
+    total: results.length,
+    found,
+    missed: results.length - found,
+    results
+  }, 200, { 'Cache-Control': `public, max-age=${cacheTtl}` });
+}
+
+// 校验 POST 请求体的字段类型 (与 GET 参数一致：日期为字符串，days 可为数字)
+// @returns {string|null} 错误信息
+function validateBatchBody(body) {
+  if (!body || typeof body !== 'object') return "Invalid JSON body: expected an object or array";
+  for (const field of ['date', 'start', 'end']) {
+    if (body[field] != null && typeof body[field] !== 'string') return `Invalid ${field}: expected a string`;
+  }
+  if (body.days != null && !['string', 'number'].includes(typeof body.days)) return "Invalid days: expected a number";
+  return null;
+}
+
+// =========================================================
+// 7. 节目搜索接口 (/epg/search)
+// [v4.8] 按标题 / 简介搜索全部数据源中的节目，结果按开始时间排序
+// 可选参数：date / start / end / days (日期范围)、from / to (每日时段 HH:MM)、ch (频道列表)、limit
+// 同一频道出现在多个数据源时，只搜索优先级最高的源 (与 DIYP 查询一致)
+// =========================================================
+export async function handleSearch(request, url, ctx, env) {
+  const cacheTtl = parseInt(env.CACHE_TTL) || DEFAULT_CACHE_TTL;
+  const timeZone = getTimeZone(env);
+
+  const q = (url.searchParams.get('q') || '').trim();
+  const terms = foldChinese(q.toLowerCase()).split(/\s+/).filter(Boolean);
+  if (terms.length === 0) {
+    return jsonResponse({ code: 400, message: "Missing params: q" }, 400);
+  }
+
+  const limitParam = parseInt(url.searchParams.get('limit'));
+  const limit = limitParam > 0 ? Math.min(limitParam, MAX_SEARCH_LIMIT) : DEFAULT_SEARCH_LIMIT;
+
+  // 未指定日期与时段时不限时间；只指定时段时默认为今天
+  const from = url.searchParams.get('from');
+  const to = url.searchParams.get('to');
+  let windows = null;
+  if (['date', 'start', 'end', 'days', 'from', 'to'].some(name => url.searchParams.has(name))) {
+    const range = resolveDateRange({
+      date: url.searchParams.get('date'),
+      start: url.searchParams.get('start'),
+      end: url.searchParams.get('end'),
+      days: url.searchParams.get('days')
+    }, env);
+    if (range.error) return jsonResponse({ code: 400, message: range.error }, 400);
+    windows = range.dates.map(date => getZonedWindow(date, from, to, timeZone));
+    if (windows.includes(null)) {
+      return jsonResponse({ code: 400, message: "Invalid time range: from / to must be HH:MM" }, 400);
+    }
+  }
+
+  const options = getQueryOptions(url, env);
+  const flatChannels = await getFlatChannels(ctx, env);
+  const keyOf = name => normalizeChannelId(name, flatChannels);
+  const wanted = getRawQueryParamAll(url, 'ch').map(keyOf).filter(Boolean);
+
+  const seenKeys = new Set();
+  const hits = [];
+  for (const source of getSources(env)) {
+    const index = await getSourceIndex(ctx, source, env);
+    if (!index) continue;
+
+    // 跳过已出现在更高优先级源中的频道；指定 ch 时只保留匹配的频道
+    const channelIds = new Set();
+    const sourceKeys = [];
+    for (const channel of index.channels.values()) {
+      const keys = channel.names.map(keyOf).filter(Boolean);
+      sourceKeys.push(...keys);
+      if (keys.some(k => seenKeys.has(k))) continue;
+      if (wanted.length > 0 && !keys.some(k => wanted.includes(k))) continue;
+      channelIds.add(channel.id);
+    }
+    sourceKeys.forEach(k => seenKeys.add(k));
+
+    for (const hit of searchProgrammes(index, terms, { windows, channelIds })) {
+      hits.push({ ...hit, source: source.key });
+    }
+  }
+
+  hits.sort((a, b) => a.programme.start - b.programme.start);
+  const results = hits.slice(0, limit).map(({ channel, programme: p, source }) => ({
+    channel_id: channel.id,
+    channel_name: localizeChannelName(channel, options.langs),
+    icon: rewriteIcon(channel.icon, channel.id, url, env),
+    source,
+    date: formatZonedDate(p.start, timeZone),
+    start: formatTime(p.start, timeZone),
+    end: formatTime(p.stop, timeZone),
+    start_ts: Math.floor(p.start / 1000),
+    end_ts: p.stop === null ? null : Math.floor(p.stop / 1000),
+    title: localize(p, 'title', options.langs, options.script) || "节目",
+    desc: localize(p, 'desc', options.langs, options.script),
+    ...(options.extended ? p.extra : null)
+  }));
+
+  return jsonResponse({
+    code: 200,
+    message: "请求成功",
+    query: q,
+    total: hits.length,
+    count: results.length,
+    results
+  }, 200, { 'Cache-Control': `public, max-age=${cacheTtl}` });
+}
+
+// =========================================================
+// 8. 台标代理接口 (/epg/logo/<频道>)
+// [v4.9] 按与 DIYP 相同的规则匹配频道 (也可直接使用频道 ID)，下载并缓存源中的台标
+// 缓存：Cache API (Docker 下由 wrangler 持久化到磁盘) + 内存；失败后进入熔断冷却期
+// =========================================================
+export async function handleLogo(request, url, ctx, env, rawName) {
+  const logoTtl = parseInt(env.LOGO_CACHE_TTL) || DEFAULT_LOGO_CACHE_TTL;
+
+  let name;
+  try {
+    name = decodeURIComponent(rawName || '').trim();
+  } catch (e) {
+    name = '';
+  }
+  if (!name) return jsonResponse({ code: 400, message: "Missing params: channel" }, 400);
+
+  const icon = await findChannelIcon(ctx, name, env);
+  if (!icon) {
+    return jsonResponse({ code: 404, message: "Logo not found", debug_info: { channel: name } }, 404);
+  }
+
+  try {
+    const logo = await getLogo(ctx, icon, env);
+    return new Response(logo.body, {
+      headers: {
+        'Content-Type': logo.contentType,
+        'Cache-Control': `public, max-age=${logoTtl}`,
+        ...CORS_HEADERS
+      }
+    });
+  } catch (e) {
+    return new Response(`Logo Error: ${e.message}`, { status: 502, headers: CORS_HEADERS });
+  }
+}
+
 /**
- * 获取数据源最后更新时间 (保持不变)
+ * 按数据源优先级查找频道台标地址，匹配规则与 DIYP 接口一致：
+ * 频道 ID 精确匹配 (JSON / XML 中的代理地址均使用频道 ID) -> 别名归一化后按名称匹配 -> 模糊匹配
  */
-export async function getLastUpdateTimes(env) {
-  const mainUrl = env.EPG_URL;
-  const backupUrl = env.EPG_URL_BACKUP;
+async function findChannelIcon(ctx, name, env) {
+  const ch = normalizeChannelId(name, await getFlatChannels(ctx, env));
+  const indexOf = createIndexLoader(ctx, env);
+
+  const lookup = async (channelName, id = null) => {
+    const key = normalizeName(channelName);
+    for (const source of getSources(env)) {
+      const index = await indexOf(source);
+      if (!index) continue;
+
+      const channelId = id !== null && index.channels.has(id) ? id : index.nameMap.get(key);
+      const channel = channelId !== undefined ? index.channels.get(channelId) : null;
+      if (channel && /^https?:\/\//i.test(channel.icon)) return channel.icon;
+    }
+    return null;
+  };
+
+  const icon = await lookup(ch, name);
+  if (icon) return icon;
+
+  const fuzzy = await fuzzyLookup(indexOf, ch, name, env);
+  return fuzzy.match ? lookup(fuzzy.match.name) : null;
+}
+
+/**
+ * 获取台标内容：内存命中 -> Cache API / 上游下载 (复用 getSourceStream 的缓存与超时逻辑)
+ */
+async function getLogo(ctx, iconUrl, env) {
+  const logoTtl = parseInt(env.LOGO_CACHE_TTL) || DEFAULT_LOGO_CACHE_TTL;
+  const errorCooldown = parseInt(env.ERROR_COOLDOWN_MS) || DEFAULT_ERROR_COOLDOWN;
+  const now = Date.now();
+
+  const cached = LOGO_MEMORY_CACHE.get(iconUrl);
+  recordCache('logo', Boolean(cached && now < cached.expireTime));
+  if (cached && now < cached.expireTime) {
+    if (cached.errorMsg) throw new Error(cached.errorMsg);
+    return cached;
+  }
+
+  let item;
+  try {
+    // 上游声明的 Content-Length 超限时不读取正文；未声明时边读边计数，超过上限即停止
+    const upstream = await getSourceStream(ctx, { key: 'logo', url: iconUrl, ttl: logoTtl, timeout: null, maxSize: MAX_LOGO_BYTES }, env);
+    const body = (await readLimited(upstream.stream, MAX_LOGO_BYTES)).buffer;
+
+    const contentType = upstream.headers.get('content-type') || '';
+    item = {
+      body,
+      contentType: contentType.startsWith('image/') ? contentType : 'image/png',
+      expireTime: now + logoTtl * 1000,
+      errorMsg: null
+    };
+  } catch (e) {
+    item = { body: null, contentType: null, expireTime: now + errorCooldown, errorMsg: e.message };
+  }
+
+  LOGO_MEMORY_CACHE.delete(iconUrl);
+  if (LOGO_MEMORY_CACHE.size >= MAX_LOGO_MEMORY_ENTRIES) {
+    LOGO_MEMORY_CACHE.delete(LOGO_MEMORY_CACHE.keys().next().value);
+  }
+  LOGO_MEMORY_CACHE.set(iconUrl, item);
+
+  if (item.errorMsg) throw new Error(item.errorMsg);
+  return item;
+}
+
+// =========================================================
+// 9. 定时预取 (Cron Trigger / Docker 定时器)
+// [v5.4] 数据源原本只在 TTL 过期后的首个请求时下载，该请求需要等待大文件下载、解压与解析；
+// 定时任务在过期前主动刷新，并预热内存与边缘缓存。距上次获取不足 TTL 一半的源不会重复下载
+// =========================================================
+export async function refreshSources(ctx, env, trigger = 'cron') {
+  const startTime = Date.now();
+  const results = [];
+
+  for (const source of getSources(env)) {
+    const begin = Date.now();
+    const result = { key: source.key, name: source.name, status: 'fresh', duration: 0, channels: null, error: null };
+    try {
+      const fetchTime = await getSourceFetchTime(source);
+      const inMemory = Boolean(MEMORY_CACHE_MAP.get(source.url)?.index);
+      const stale = fetchTime === null || begin - fetchTime >= getSourceTtl(source, env) * 1000 * PREFETCH_AGE_RATIO;
+
+      if (stale || !inMemory) {
+        // 边缘缓存仍然较新、只是当前节点内存中没有时，直接从边缘缓存构建索引即可
+        const index = await reloadSource(ctx, source, env, { forceRefresh: stale });
+        // [v5.9] 上游返回 304 时记为 not_modified (仅续期，未重新下载)
+        const notModified = Boolean(MEMORY_CACHE_MAP.get(source.url)?.notModified);
+        result.status = stale ? (notModified ? 'not_modified' : 'refreshed') : 'warmed';
+        result.channels = index.channelCount;
+      }
+    } catch (e) {
+      result.status = 'failed';
+      result.error = e.message;
+    }
+    result.duration = Date.now() - begin;
+    results.push(result);
+  }
+
+  LAST_PREFETCH = { trigger, time: startTime, duration: Date.now() - startTime, results };
+  return LAST_PREFETCH;
+}
+
+/**
+ * Docker 定时器触发预取的内部接口 (POST /__prefetch)
+ * 令牌 PREFETCH_TOKEN 由容器入口脚本在启动时随机生成，未设置时接口不存在 (404)；
+ * 预取在后台执行，立即返回 202
+ */
+export async function handlePrefetch(request, url, ctx, env) {
+  if (!env.PREFETCH_TOKEN) return jsonResponse({ code: 404, message: "Not found" }, 404);
+  if (request.method !== 'POST') {
+    return jsonResponse({ code: 405, message: "Method not allowed, use POST" }, 405, { 'Allow': 'POST' });
+  }
+
+  const auth = request.headers.get('Authorization') || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice('Bearer '.length).trim() : '';
+  if (!safeEqual(token, env.PREFETCH_TOKEN)) {
+    return jsonResponse({ code: 401, message: "Unauthorized" }, 401, { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  ctx.waitUntil(refreshSources(ctx, env, url.searchParams.get('trigger') || 'interval'));
+  return jsonResponse({ code: 202, message: "预取已开始" }, 202);
+}
+
+/**
+ * 重新加载数据源索引，本次加载失败时抛出错误
+ * (getSourceIndex 失败时会返回旧索引，需按本次的失败时间判断)
+ */
+async function reloadSource(ctx, source, env, options) {
+  const begin = Date.now();
+  const index = await getSourceIndex(ctx, source, env, options);
+  const item = MEMORY_CACHE_MAP.get(source.url);
+  if (item && item.lastErrorTime >= begin) throw new Error(item.errorMsg);
+  if (!index) throw new Error("No data");
+  return index;
+}
+
+/**
+ * 最近一次定时预取的结果，尚未执行过时为 null
+ * @returns {{trigger: string, time: number, duration: number, results: Array<Object>}|null}
+ */
+export function getPrefetchStatus() {
+  return LAST_PREFETCH;
+}
+
+/**
+ * 数据源上次成功获取的时间：优先取内存缓存，其次取边缘缓存中的 X-EPG-Fetch-Time
+ * @returns {Promise<number|null>} 无缓存或上次获取失败时返回 null
+ */
+async function getSourceFetchTime(source) {
+  const item = MEMORY_CACHE_MAP.get(source.url);
+  if (item && item.index && !item.errorMsg) return item.fetchTime;
+
   const cache = (typeof caches !== 'undefined') ? caches.default : null;
+  if (!cache) return null;
+  const headers = await matchCachedHeaders(cache, source.url);
+  const ts = headers ? parseInt(headers.get("X-EPG-Fetch-Time")) : NaN;
+  return Number.isNaN(ts) ? null : ts;
+}
+
+/**
+ * 读取边缘缓存中数据源副本的响应头 (不读取正文，立即释放)
+ * @returns {Promise<Headers|null>} 无缓存时返回 null
+ */
+async function matchCachedHeaders(cache, url) {
+  const cachedRes = await cache.match(new Request(url, { method: "GET" }));
+  if (!cachedRes) return null;
+  if (cachedRes.body) cachedRes.body.cancel().catch(() => {});
+  return cachedRes.headers;
+}
+
+// =========================================================
+// 10. 状态与健康检查接口 (/api/status, /healthz)
+// [v5.5] 供监控系统使用：status 返回全部数据源的详细状态；
+// healthz 在至少一个数据源有可用数据 (内存或边缘缓存) 时返回 200，否则 503，不会主动触发下载
+// =========================================================
+export async function handleStatus(request, url, ctx, env) {
+  return jsonResponse({
+    code: 200,
+    message: "请求成功",
+    time: Date.now(),
+    sources: await getSourceStatus(env),
+    prefetch: getPrefetchStatus()
+  }, 200, { 'Cache-Control': 'no-store' });
+}
+
+export async function handleHealth(request, url, ctx, env) {
+  const sources = await getSourceStatus(env);
+  const available = sources.filter(source => source.origin !== null).length;
+  const healthy = available > 0;
+  return jsonResponse({
+    status: healthy ? "ok" : "unavailable",
+    sources: sources.length,
+    available
+  }, healthy ? 200 : 503, { 'Cache-Control': 'no-store' });
+}
+
+// =========================================================
+// 11. 指标接口 (/metrics)
+// [v5.6] Prometheus 文本格式：累计计数器来自 metrics.js，数据源状态类指标在抓取时即时计算
+// 指标仅反映当前节点 (Worker isolate / Docker 进程)
+// =========================================================
+export async function handleMetrics(request, url, ctx, env) {
+  const sources = await getSourceStatus(env);
+  const now = Date.now();
+  const gauge = (name, help, valueOf) => ({
+    name,
+    help,
+    samples: sources
+      .map(source => ({ labels: { source: source.key }, value: valueOf(source) }))
+      .filter(sample => sample.value !== null && sample.value !== undefined)
+  });
 
-  const formatTime = (ts) => {
-    if (!ts) return "等待更新";
-    const date = new Date(ts);
-    return date.toLocaleString('zh-CN', {
-        timeZone: 'Asia/Shanghai',
-        hour12: false,
-        month: '2-digit', day: '2-digit',
-        hour: '2-digit', minute: '2-digit', second: '2-digit'
+  const gauges = [
+    gauge('epg_source_up', 'Whether the source has usable data (memory or edge cache)', s => s.origin ? 1 : 0),
+    gauge('epg_source_in_memory', 'Whether the parsed index of the source is held in memory', s => s.origin === 'memory' ? 1 : 0),
+    gauge('epg_source_breaker_open', 'Whether the source is in error cooldown (circuit breaker open)', s => s.cooldown ? 1 : 0),
+    gauge('epg_source_age_seconds', 'Seconds since the last successful fetch', s => s.age),
+    gauge('epg_source_size_chars', 'Size of the source text held in memory (characters)', s => s.size_chars),
+    gauge('epg_source_channels', 'Channels in the in-memory index', s => s.channels),
+    gauge('epg_source_programmes', 'Programmes in the in-memory index', s => s.programmes)
+  ];
+
+  const prefetch = getPrefetchStatus();
+  if (prefetch) {
+    gauges.push({
+      name: 'epg_prefetch_last_run_timestamp_seconds',
+      help: 'Unix time of the last scheduled prefetch',
+      samples: [{ labels: {}, value: Math.floor(prefetch.time / 1000) }]
+    }, {
+      name: 'epg_prefetch_last_success',
+      help: 'Whether the source was refreshed (or already fresh) in the last scheduled prefetch',
+      samples: prefetch.results.map(r => ({ labels: { source: r.key }, value: r.status === 'failed' ? 0 : 1 }))
     });
-  };
+  }
+  gauges.push({ name: 'epg_scrape_timestamp_seconds', help: 'Unix time of this scrape', samples: [{ labels: {}, value: Math.floor(now / 1000) }] });
 
-  const getStatus = async (url) => {
-     if (!url) return null;
-     const item = MEMORY_CACHE_MAP.get(url);
-     if (item) {
-         const timeStr = formatTime(item.fetchTime);
-         if (item.errorMsg) return `${timeStr} <span style="color:red;font-size:0.8em">(${item.errorMsg})</span>`;
-         return `${timeStr} <span style="color:green;font-size:0.8em">(Memory)</span>`;
-     }
-     if (cache) {
-         try {
-             const cachedRes = await cache.match(new Request(url, { method: "GET" }));
-             if (cachedRes) {
-                 const ts = cachedRes.headers.get("X-EPG-Fetch-Time");
-                 if (ts) return `${formatTime(parseInt(ts))} <span style="color:green;font-size:0.8em">(Edge Cache)</span>`;
-             }
-         } catch (e) {}
-     }
-     return "等待调用";
+  return new Response(renderMetrics(gauges), {
+    headers: {
+      ...CORS_HEADERS,
+      'content-type': 'text/plain; version=0.0.4; charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+// =========================================================
+// 12. 管理接口 (/admin/refresh, /admin/purge)
+// [v5.7] 未配置 ADMIN_TOKEN 时关闭 (404)；只接受 POST，请求头需携带 Authorization: Bearer <ADMIN_TOKEN>
+// 参数可放在 JSON 请求体或 query 中。Cloudflare 的 Cache API 按数据中心隔离，
+// 边缘缓存的删除只作用于处理该请求的数据中心；内存缓存只作用于当前节点
+// =========================================================
+const PURGE_TARGETS = ['all', 'responses', 'sources', 'breaker'];
+
+/**
+ * 强制刷新数据源：跳过内存与边缘缓存及熔断冷却期，立即回源并重建索引
+ * 参数：source (数据源 key，缺省为全部)。有源刷新成功时，DIYP 响应缓存一并失效
+ */
+export async function handleAdminRefresh(request, url, ctx, env) {
+  const parsed = await parseAdminRequest(request, url, env);
+  if (parsed.error) return parsed.error;
+
+  const cache = (typeof caches !== 'undefined') ? caches.default : null;
+  const results = [];
+  for (const source of parsed.sources) {
+    const begin = Date.now();
+    const result = { key: source.key, name: source.name, status: 'refreshed', duration: 0, channels: null, error: null };
+    try {
+      // 无条件重新下载，不依赖上游的 ETag / Last-Modified
+      const index = await reloadSource(ctx, source, env, { forceRefresh: true, revalidate: false });
+      result.channels = index.channelCount;
+    } catch (e) {
+      result.status = 'failed';
+      result.error = e.message;
+    }
+    result.duration = Date.now() - begin;
+    results.push(result);
+  }
+
+  const refreshed = results.some(r => r.status === 'refreshed');
+  if (refreshed) await purgeResponses(cache, null, env);
+
+  return jsonResponse({
+    code: refreshed ? 200 : 502,
+    message: refreshed ? "刷新完成" : "全部数据源刷新失败",
+    results,
+    responses_purged: refreshed
+  }, refreshed ? 200 : 502, { 'Cache-Control': 'no-store' });
+}
+
+/**
+ * 清除缓存 / 重置熔断
+ * 参数：target (all | responses | sources | breaker)、source (数据源 key)、channel (频道名)
+ * - responses: DIYP 响应缓存，传 channel 时只清除该频道 (与查询时相同的归一化规则)
+ * - sources: 数据源的内存索引与边缘缓存 (同时解除熔断)，下次请求时重新下载
+ * - breaker: 只解除熔断冷却期，保留已有数据
+ * - all: responses (全部频道) + sources
+ * 未传 target 时：有 channel 为 responses，有 source 为 sources，否则为 all
+ */
+export async function handleAdminPurge(request, url, ctx, env) {
+  const parsed = await parseAdminRequest(request, url, env);
+  if (parsed.error) return parsed.error;
+
+  const { params, sources } = parsed;
+  const target = String(params.target || (params.channel ? 'responses' : params.source ? 'sources' : 'all')).toLowerCase();
+  if (!PURGE_TARGETS.includes(target)) {
+    return jsonResponse({ code: 400, message: `Invalid target: ${target} (expected ${PURGE_TARGETS.join(' / ')})` }, 400);
+  }
+
+  const cache = (typeof caches !== 'undefined') ? caches.default : null;
+  const purged = {};
+
+  if (target === 'responses' || target === 'all') {
+    const ch = target === 'responses' && params.channel
+      ? normalizeChannelId(String(params.channel), await getFlatChannels(ctx, env))
+      : null;
+    await purgeResponses(cache, ch, env);
+    purged.responses = ch || 'all';
+  }
+
+  if (target === 'sources' || target === 'all') {
+    for (const source of sources) {
+      MEMORY_CACHE_MAP.delete(source.url);
+      if (cache) await cache.delete(new Request(source.url, { method: "GET" }));
+    }
+    purged.sources = sources.map(source => source.key);
+  }
+
+  if (target === 'breaker') {
+    purged.breaker = [];
+    for (const source of sources) {
+      const item = MEMORY_CACHE_MAP.get(source.url);
+      if (!item || !item.lastErrorTime) continue;
+      if (item.index) {
+        MEMORY_CACHE_MAP.set(source.url, { ...item, lastErrorTime: 0, errorMsg: null });
+      } else {
+        MEMORY_CACHE_MAP.delete(source.url);
+      }
+      purged.breaker.push(source.key);
+    }
+  }
+
+  return jsonResponse({ code: 200, message: "清除成功", target, purged }, 200, { 'Cache-Control': 'no-store' });
+}
+
+/**
+ * 校验管理请求并读取参数
+ * @returns {Promise<{error: Response}|{params: Object, sources: Array<Object>}>}
+ *   sources 为 source 参数指定的数据源，未指定时为全部数据源
+ */
+async function parseAdminRequest(request, url, env) {
+  if (!env.ADMIN_TOKEN) {
+    return { error: jsonResponse({ code: 404, message: "Admin API disabled (ADMIN_TOKEN not set)" }, 404) };
+  }
+  if (request.method !== 'POST') {
+    return { error: jsonResponse({ code: 405, message: "Method not allowed, use POST" }, 405, { 'Allow': 'POST' }) };
+  }
+
+  const auth = request.headers.get('Authorization') || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice('Bearer '.length).trim() : '';
+  if (!safeEqual(token, env.ADMIN_TOKEN)) {
+    return { error: jsonResponse({ code: 401, message: "Unauthorized" }, 401, { 'WWW-Authenticate': 'Bearer' }) };
+  }
+
+  let params = Object.fromEntries(url.searchParams);
+  try {
+    const text = await request.text();
+    if (text.trim()) params = { ...params, ...JSON.parse(text) };
+  } catch (e) {
+    return { error: jsonResponse({ code: 400, message: `Invalid JSON body: ${e.message}` }, 400) };
+  }
+
+  const sources = getSources(env).filter(source => !params.source || source.key === params.source);
+  if (sources.length === 0) {
+    const keys = getSources(env).map(source => source.key).join(', ');
+    return { error: jsonResponse({ code: 400, message: `Unknown source: ${params.source} (available: ${keys})` }, 400) };
+  }
+  return { params, sources };
+}
+
+/**
+ * 创建请求内的索引加载函数：同一请求内各数据源的索引只获取一次，且按需加载
+ * (高优先级源全部命中时不会触发低优先级源的下载)
+ */
+function createIndexLoader(ctx, env) {
+  const loaded = new Map();
+  return async (source) => {
+    if (!loaded.has(source.key)) loaded.set(source.key, await getSourceIndex(ctx, source, env));
+    return loaded.get(source.key);
   };
+}
 
-  return {
-    main: await getStatus(mainUrl),
-    backup: await getStatus(backupUrl)
+/**
+ * 查询单个频道多天的节目单，每一天都按数据源优先级回退 (与 DIYP 单日查询一致)
+ * @returns {Promise<{info: Object|null, epg: Object<string, Array>}>}
+ *   info 为首个命中的 smartFind 响应 (附 source)，全部未命中时为 null；epg 为 日期 -> 节目数组
+ */
+async function findSchedule(indexOf, ch, dates, url, env, options) {
+  const timeZone = getTimeZone(env);
+  const sources = getSources(env);
+  const epg = {};
+  let info = null;
+
+  for (const date of dates) {
+    epg[date] = [];
+    for (const source of sources) {
+      const index = await indexOf(source);
+      if (!index) continue;
+      const result = smartFind(index, ch, date, url.origin, url.pathname, timeZone, options);
+      if (result.programs.length > 0) {
+        epg[date] = result.programs;
+        if (!info) info = { ...result.response, source: source.key };
+        break;
+      }
+    }
+  }
+  return { info, epg };
+}
+
+/**
+ * [v5.2] findSchedule 的模糊匹配兜底版本：精确匹配全部未命中时，改用模糊匹配到的频道名重新查询
+ * @returns {Promise<{info: Object|null, epg: Object, suggestions: string[]|undefined}>}
+ *   suggestions 仅在进行过模糊匹配时存在
+ */
+async function findScheduleWithFuzzy(indexOf, ch, rawCh, dates, url, env, options) {
+  const exact = await findSchedule(indexOf, ch, dates, url, env, options);
+  if (exact.info) return exact;
+
+  const fuzzy = await fuzzyLookup(indexOf, ch, rawCh, env);
+  if (!fuzzy.match) return { ...exact, suggestions: fuzzy.suggestions };
+
+  const retry = await findSchedule(indexOf, fuzzy.match.name, dates, url, env, options);
+  return { ...retry, suggestions: retry.info ? undefined : fuzzy.suggestions };
+}
+
+/**
+ * [v5.2] 模糊匹配频道名 (见 fuzzy.js)
+ * 仅当所有数据源都无法精确命中该频道名时才进行 (频道存在但当天无节目时不做替换)
+ * @returns {Promise<{match: Object|null, suggestions: string[]|undefined}>}
+ *   match 为按数据源优先级首个高置信度结果；suggestions 为各源中最接近的频道名 (按得分排序、去重)，
+ *   频道可精确命中时不返回
+ */
+async function fuzzyLookup(indexOf, ch, rawCh, env) {
+  const indexes = [];
+  for (const source of getSources(env)) {
+    const index = await indexOf(source);
+    if (!index) continue;
+    if (index.nameMap.has(normalizeName(ch))) {
+      return { match: null };
+    }
+    indexes.push(index);
+  }
+
+  let match = null;
+  const ranked = [];
+  for (const index of indexes) {
+    const candidates = rankChannels(rawCh || ch, index, MAX_SUGGESTIONS);
+    if (!match && candidates.length > 0 && candidates[0].confident) match = candidates[0];
+    ranked.push(...candidates);
+  }
+
+  return { match, suggestions: collectSuggestions(ranked, MAX_SUGGESTIONS) };
+}
+
+/**
+ * 获取全部数据源的运行状态 (按优先级排序)
+ * [v5.5] 由 HTML 片段改为结构化数据，供 /api/status、/healthz 与首页状态面板共用
+ * [v5.9] 增加 not_modified (最近一次回源为 304) 与上游校验值 etag / last_modified
+ * 时间均为毫秒时间戳；origin 为当前可用数据的来源 (memory / edge)，均无时为 null
+ */
+export async function getSourceStatus(env) {
+  const cache = (typeof caches !== 'undefined') ? caches.default : null;
+  const errorCooldown = parseInt(env.ERROR_COOLDOWN_MS) || DEFAULT_ERROR_COOLDOWN;
+  const now = Date.now();
+
+  const getEdgeStatus = async (url) => {
+    if (!cache) return null;
+    try {
+      const headers = await matchCachedHeaders(cache, url);
+      if (!headers) return null;
+      const ts = parseInt(headers.get("X-EPG-Fetch-Time"));
+      const length = parseInt(headers.get("content-length"));
+      return {
+        fetch_time: Number.isNaN(ts) ? null : ts,
+        size_bytes: Number.isNaN(length) ? null : length,
+        not_modified: headers.get("X-EPG-Not-Modified") === "true",
+        validators: getValidators(headers)
+      };
+    } catch (e) {
+      return null;
+    }
   };
+
+  return Promise.all(getSources(env).map(async (source) => {
+    const item = MEMORY_CACHE_MAP.get(source.url) || null;
+    const index = item ? item.index || null : null;
+    const edge = await getEdgeStatus(source.url);
+    const fetchTime = index ? item.fetchTime : (edge ? edge.fetch_time : null);
+    const cooldown = Boolean(item && item.lastErrorTime && now - item.lastErrorTime < errorCooldown);
+    // [v5.9] 最近一次回源是否为 304 (未变更)，及当前副本的校验值
+    const validators = index ? item.validators : (edge ? edge.validators : null);
+    if (edge) delete edge.validators;
+
+    return {
+      key: source.key,
+      name: source.name,
+      // 源地址常带有访问令牌，公开的状态数据只给出主机名
+      host: getUrlHost(source.url),
+      origin: index ? 'memory' : (edge ? 'edge' : null),
+      fetch_time: fetchTime,
+      age: fetchTime ? Math.floor((now - fetchTime) / 1000) : null,
+      expire_time: index ? item.expireTime : null,
+      size_chars: index ? index.size : null,
+      channels: index ? index.channelCount : null,
+      programmes: index ? index.programmeCount : null,
+      not_modified: index ? Boolean(item.notModified) : (edge ? edge.not_modified : false),
+      etag: validators ? validators.etag : null,
+      last_modified: validators ? validators.lastModified : null,
+      edge,
+      last_error: item && item.errorMsg ? { message: item.errorMsg, time: item.lastErrorTime } : null,
+      cooldown,
+      cooldown_until: cooldown ? item.lastErrorTime + errorCooldown : null
+    };
+  }));
+}
+
+function getUrlHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return null;
+  }
 }
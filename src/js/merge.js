@@ -0,0 +1,127 @@
+// 文件路径: src/js/merge.js
+/**
+ * 多源合并输出模块
+ * [v4.0] 将多个数据源合并为一份 XMLTV：
+ * - 频道按归一化名称 / ID 去重，保留优先级最高的源中的 <channel> 元素
+ * - 节目与更高优先级源的同频道节目时间重叠时丢弃，否则保留 (用于补齐缺失时段)
+ * 节目部分逐源流式读取，不会把完整文件读入内存
+ * [v4.3] 支持只输出指定频道 (按播放列表裁剪)；单源裁剪同样复用此流程
+ */
+
+import { parseXmltvTime, hasOverlap } from './utils.js';
+import { createElementTransform } from './stream.js';
+
+const PROG_CHANNEL_REGEX = /channel="([^"]+)"/;
+const PROG_START_REGEX = /start="([^"]+)"/;
+const PROG_STOP_REGEX = /stop="([^"]+)"/;
+
+/**
+ * 规划合并结果
+ * @param {Array<Object>} indexes 各数据源索引 (按优先级排序，见 parser.js)
+ * @param {(name: string) => string} keyOf 频道名归一化函数，结果相同即视为同一频道
+ * @returns {{channels: Array<Object>, members: Map<string, Array>, mappings: Array<Map<string, string>>}}
+ *   channels: 输出的频道列表；members: 输出 ID -> 各源中对应的 { pos, channelId }；
+ *   mappings: 每个源的 频道 ID -> 输出 ID
+ */
+export function planMerge(indexes, keyOf) {
+  const channels = [];
+  const members = new Map();
+  const byKey = new Map();
+  const mappings = indexes.map(() => new Map());
+
+  indexes.forEach((index, pos) => {
+    for (const channel of index.channels.values()) {
+      const keys = channel.names.map(keyOf).filter(Boolean);
+
+      // 1. 名称命中其他源中已保留的频道；2. ID 相同 (XMLTV 建议 ID 全局唯一)；3. 作为新频道保留
+      // 同一源内归一化名称相同的频道 (如 CCTV1 与 CCTV1高清) 不合并：其节目不经过重叠检查，合并后会在同一时段重复
+      const fromOtherSource = id => !members.get(id).some(member => member.pos === pos);
+      let outputId = keys.map(k => byKey.get(k)).find(id => id && fromOtherSource(id));
+      if (!outputId && members.has(channel.id)) outputId = channel.id;
+      if (!outputId) {
+        outputId = channel.id;
+        channels.push(channel);
+        members.set(outputId, []);
+      }
+
+      members.get(outputId).push({ pos, channelId: channel.id });
+      mappings[pos].set(channel.id, outputId);
+      for (const k of keys) {
+        if (!byKey.has(k)) byKey.set(k, outputId);
+      }
+    }
+  });
+
+  return { channels, members, mappings };
+}
+
+/**
+ * 生成合并后的 XMLTV 文本片段
+ * @param {Array<Object>} indexes 各数据源索引 (与 planMerge 相同顺序)
+ * @param {Object} plan planMerge 的返回值
+ * @param {Array<() => Promise<ReadableStream<string>>>} openers 按源打开文本流的函数
+ * @param {string} timeZone 节目时间缺少偏移时采用的时区
+ * @param {Set<string>|null} keep 只输出这些输出 ID 对应的频道与节目，null 表示全部输出
+ */
+export async function* mergeXml(indexes, plan, openers, timeZone, keep = null) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n<tv generator-info-name="EPG Proxy">\n';
+
+  for (const channel of plan.channels) {
+    if (keep && !keep.has(channel.id)) continue;
+    yield `  ${channel.xml}\n`;
+  }
+
+  for (let pos = 0; pos < openers.length; pos++) {
+    // 裁剪模式下，未贡献任何保留频道的源无需下载
+    if (keep && ![...plan.mappings[pos].values()].some(id => keep.has(id))) continue;
+
+    const filter = createElementTransform({
+      onChannel: () => null,
+      onOther: () => null,
+      onProgramme: (block) => filterProgramme(block, pos, indexes, plan, timeZone, keep)
+    });
+
+    try {
+      const reader = (await openers[pos]()).pipeThrough(filter).getReader();
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        yield value;
+      }
+    } catch (e) {
+      // 响应头已发出，单个源失败时跳过该源，继续输出其余数据
+      console.error(`Merge source #${pos + 1} failed:`, e.message);
+    }
+  }
+
+  yield '</tv>\n';
+}
+
+/**
+ * 过滤单个节目：重写频道 ID，丢弃未保留频道的节目以及与更高优先级源重叠的节目
+ */
+function filterProgramme(block, pos, indexes, plan, timeZone, keep) {
+  const channelMatch = block.match(PROG_CHANNEL_REGEX);
+  if (!channelMatch) return null;
+
+  const channelId = channelMatch[1];
+  const outputId = plan.mappings[pos].get(channelId) || channelId;
+  if (keep && !keep.has(outputId)) return null;
+
+  if (pos > 0) {
+    const startMatch = block.match(PROG_START_REGEX);
+    const stopMatch = block.match(PROG_STOP_REGEX);
+    const start = startMatch ? parseXmltvTime(startMatch[1], timeZone) : null;
+    if (start === null) return null;
+    const stop = stopMatch ? parseXmltvTime(stopMatch[1], timeZone) : null;
+
+    for (const member of plan.members.get(outputId) || []) {
+      if (member.pos >= pos) continue;
+      const list = indexes[member.pos].programmes.get(member.channelId);
+      if (list && hasOverlap(list, start, stop)) return null;
+    }
+  }
+
+  const output = outputId === channelId ? block : block.replace(channelMatch[0], `channel="${outputId}"`);
+  return `  ${output}\n`;
+}
@@ -0,0 +1,177 @@
+// 文件路径: src/js/metrics.js
+/**
+ * 运行指标模块
+ * [v5.6] 以 Prometheus 文本格式 (0.0.4) 输出计数器与直方图，供 /metrics 接口使用
+ * 指标保存在当前节点 (Worker isolate / Docker 进程) 的内存中，重启后归零
+ * [v5.9] 新增上游 304 (未变更) 计数
+ */
+
+// 指标定义：名称 -> { type, help, buckets? }
+const METRIC_DEFS = {
+  epg_requests_total: {
+    type: 'counter',
+    help: 'HTTP requests by route, method and status'
+  },
+  epg_cache_requests_total: {
+    type: 'counter',
+    help: 'Cache lookups by layer (response / memory / edge / logo) and result (hit / miss)'
+  },
+  epg_coalesced_requests_total: {
+    type: 'counter',
+    help: 'Index loads that joined an in-flight download of the same source'
+  },
+  epg_breaker_short_circuits_total: {
+    type: 'counter',
+    help: 'Index loads answered from stale data (or nothing) because the source is in error cooldown'
+  },
+  epg_upstream_fetches_total: {
+    type: 'counter',
+    help: 'Upstream fetches started, by source'
+  },
+  epg_upstream_not_modified_total: {
+    type: 'counter',
+    help: 'Conditional upstream fetches answered with 304 Not Modified (cached copy reused), by source'
+  },
+  epg_upstream_fetch_failures_total: {
+    type: 'counter',
+    help: 'Upstream fetches that failed (HTTP status, timeout, size limit or network error), by source'
+  },
+  epg_upstream_fetch_bytes_total: {
+    type: 'counter',
+    help: 'Bytes received from upstream (before decompression), by source'
+  },
+  epg_upstream_fetch_duration_seconds: {
+    type: 'histogram',
+    help: 'Time from upstream request to the end of the body, by source',
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60]
+  }
+};
+
+// 名称 -> Map(标签键 -> { labels, value } 或直方图 { labels, counts, sum, count })
+const SERIES = new Map();
+
+function getSeries(name, labels) {
+  if (!METRIC_DEFS[name]) throw new Error(`Unknown metric: ${name}`);
+  if (!SERIES.has(name)) SERIES.set(name, new Map());
+  const series = SERIES.get(name);
+  const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  if (!series.has(key)) {
+    const def = METRIC_DEFS[name];
+    series.set(key, def.type === 'histogram'
+      ? { labels, counts: def.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return series.get(key);
+}
+
+/**
+ * 计数器加值
+ */
+export function incCounter(name, labels = {}, value = 1) {
+  getSeries(name, labels).value += value;
+}
+
+/**
+ * 记录一次直方图观测值
+ */
+export function observeHistogram(name, labels, value) {
+  const entry = getSeries(name, labels);
+  METRIC_DEFS[name].buckets.forEach((bound, i) => {
+    if (value <= bound) entry.counts[i]++;
+  });
+  entry.sum += value;
+  entry.count++;
+}
+
+/**
+ * 记录缓存查询结果
+ * @param {string} layer response (接口响应缓存) / memory (内存索引) / edge (源文件边缘缓存) / logo (台标内存缓存)
+ */
+export function recordCache(layer, hit) {
+  incCounter('epg_cache_requests_total', { layer, result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * 创建统计上游下载量与耗时的透传流 (用于 pipeThrough)：数据流读取完毕、出错或被取消 (如客户端断开、超过大小上限) 时
+ * 记录已读取的字节数与耗时，每次下载只记录一次
+ * @param {string} source 数据源标识
+ * @param {number} startTime 发起请求的时间戳
+ * @returns {{writable: WritableStream, readable: ReadableStream}}
+ */
+export function createFetchMeter(source, startTime) {
+  const { writable, readable } = new TransformStream();
+  const reader = readable.getReader();
+  let bytes = 0;
+  let recorded = false;
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+    incCounter('epg_upstream_fetch_bytes_total', { source }, bytes);
+    observeHistogram('epg_upstream_fetch_duration_seconds', { source }, (Date.now() - startTime) / 1000);
+  };
+
+  // TransformStream 的 flush 只在正常结束时执行，因此由外层可读流感知取消
+  const metered = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await reader.read();
+        if (done) {
+          record();
+          controller.close();
+          return;
+        }
+        bytes += value.byteLength;
+        controller.enqueue(value);
+      } catch (e) {
+        record();
+        controller.error(e);
+      }
+    },
+    cancel(reason) {
+      record();
+      return reader.cancel(reason);
+    }
+  });
+  return { writable, readable: metered };
+}
+
+/**
+ * 输出 Prometheus 文本格式
+ * @param {Array<{name: string, help: string, samples: Array<{labels: Object, value: number}>}>} gauges
+ *   抓取时即时计算的 gauge 指标 (如数据源状态)
+ */
+export function renderMetrics(gauges = []) {
+  const lines = [];
+
+  for (const [name, def] of Object.entries(METRIC_DEFS)) {
+    lines.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} ${def.type}`);
+    for (const entry of (SERIES.get(name) || new Map()).values()) {
+      if (def.type !== 'histogram') {
+        lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+        continue;
+      }
+      def.buckets.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: String(bound) })} ${entry.counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+  }
+
+  for (const gauge of gauges) {
+    lines.push(`# HELP ${gauge.name} ${gauge.help}`, `# TYPE ${gauge.name} gauge`);
+    for (const sample of gauge.samples) {
+      lines.push(`${gauge.name}${formatLabels(sample.labels)} ${sample.value}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (entries.length === 0) return '';
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
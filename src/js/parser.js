@@ -0,0 +1,262 @@
+// 文件路径: src/js/parser.js
+/**
+ * XMLTV 解析与索引模块
+ * [v3.6] 数据源下载完成后一次性解析为内存索引，后续查询只做 Map 查找，
+ *        不再对 80MB 级别的原始 XML 文本反复扫描，原始文本随即可被回收
+ * [v3.7] 节目起止时间按 XMLTV 偏移解析为时间戳，日期划分交由查询时的输出时区决定
+ * [v5.0] 文本内容解码 XML 实体；节目的扩展信息 (副标题、分类、集数、分级、图标、日期、演职员) 存入 extra
+ * [v5.1] 记录 display-name 的 lang 属性；节目存在多个语言的 title / desc 时全部保留到 i18n
+ */
+
+import { normalizeName, parseXmltvTime } from './utils.js';
+
+// === 正则常量定义 (仅在单个 <channel>/<programme> 小片段中使用) ===
+const CHANNEL_ID_REGEX = /id="([^"]+)"/;
+const CHANNEL_ICON_REGEX = /<icon src="([^"]+)"/;
+const DISPLAY_NAME_REGEX = /<display-name([^>]*)>([^<]+)<\/display-name>/g;
+const LANG_ATTR_REGEX = /lang="([^"]*)"/;
+const PROG_CHANNEL_REGEX = /channel="([^"]+)"/;
+const PROG_START_REGEX = /start="([^"]+)"/;
+const PROG_STOP_REGEX = /stop="([^"]+)"/;
+const PROG_TITLE_REGEX = /<title[^>]*>([\s\S]*?)<\/title>/;
+const PROG_DESC_REGEX = /<desc[^>]*>([\s\S]*?)<\/desc>/;
+const PROG_TITLE_ALL_REGEX = /<title([^>]*)>([\s\S]*?)<\/title>/g;
+const PROG_DESC_ALL_REGEX = /<desc([^>]*)>([\s\S]*?)<\/desc>/g;
+// 匹配 CDATA 标记
+const CDATA_REGEX = /<!\[CDATA\[([\s\S]*?)\]\]>/gi;
+// 匹配 XML 实体 (预定义实体与数字字符引用)
+const ENTITY_REGEX = /&(?:(amp|lt|gt|quot|apos)|#(\d+)|#x([0-9a-f]+));/gi;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// === 节目扩展信息 ===
+// 快速预检：不含任何扩展标签的节目直接跳过，避免逐个跑正则
+const PROG_EXTRA_HINT_REGEX = /<(?:sub-title|category|episode-num|rating|icon|date|credits)[\s>]/;
+const PROG_SUB_TITLE_REGEX = /<sub-title[^>]*>([\s\S]*?)<\/sub-title>/;
+const PROG_CATEGORY_REGEX = /<category[^>]*>([\s\S]*?)<\/category>/g;
+const PROG_EPISODE_NUM_REGEX = /<episode-num([^>]*)>([\s\S]*?)<\/episode-num>/g;
+const PROG_RATING_REGEX = /<rating([^>]*)>([\s\S]*?)<\/rating>/g;
+const PROG_ICON_REGEX = /<icon\s+src="([^"]+)"/;
+const PROG_DATE_REGEX = /<date>([\s\S]*?)<\/date>/;
+const PROG_CREDITS_REGEX = /<credits>([\s\S]*?)<\/credits>/;
+const CREDIT_ITEM_REGEX = /<(director|actor|writer|adapter|producer|composer|editor|presenter|commentator|guest)[^>]*>([\s\S]*?)<\/\1>/g;
+const RATING_VALUE_REGEX = /<value>([\s\S]*?)<\/value>/;
+const SYSTEM_ATTR_REGEX = /system="([^"]*)"/;
+
+/**
+ * 将 XMLTV 全文解析为查询索引
+ * 结构：
+ * - channels:   频道 ID -> { id, name, names, langs, icon, xml } (langs 与 names 一一对应；xml 为原始 <channel> 元素，供合并输出使用)
+ * - nameMap:    归一化后的 display-name -> 频道 ID (文档中先出现者优先)
+ * - programmes: 频道 ID -> 按开始时间戳排序的节目数组 { start, stop, title, desc, extra, i18n }
+ *               extra 为扩展信息 (见 parseProgrammeExtra)，源中没有时为 null
+ *               i18n 为多语言版本 { title: [{ lang, value }], desc: [...] }，仅在某字段有多个版本时存在，否则为 null
+ * @param {string} xml 解压后的 XMLTV 文本
+ * @param {string} timeZone 时间未携带偏移时采用的时区
+ */
+export function buildEpgIndex(xml, timeZone) {
+  const channels = new Map();
+  const nameMap = new Map();
+  const programmes = new Map();
+  let programmeCount = 0;
+
+  // 1. 频道：使用 indexOf 定位 <channel> 块，每次只在小片段上跑正则
+  let pos = xml.indexOf('<channel');
+  while (pos !== -1) {
+    const endPos = xml.indexOf('</channel>', pos);
+    if (endPos === -1) break;
+
+    const block = xml.substring(pos, endPos + 10);
+    const idMatch = block.match(CHANNEL_ID_REGEX);
+    if (idMatch) {
+      const id = detach(idMatch[1]);
+      const names = [];
+      const langs = [];
+      for (const m of block.matchAll(DISPLAY_NAME_REGEX)) {
+        const name = detach(decodeEntities(m[2]).trim());
+        if (!name) continue;
+        names.push(name);
+        langs.push(detach(attrOf(m[1], LANG_ATTR_REGEX)));
+      }
+      const iconMatch = block.match(CHANNEL_ICON_REGEX);
+
+      if (!channels.has(id)) {
+        channels.set(id, {
+          id,
+          name: names[0] || id,
+          names,
+          langs,
+          icon: iconMatch ? detach(decodeEntities(iconMatch[1])) : "",
+          xml: detach(block)
+        });
+      }
+      // 所有 display-name 均参与匹配，而不仅仅是第一个
+      for (const name of names) {
+        const key = normalizeName(name);
+        if (key && !nameMap.has(key)) nameMap.set(key, id);
+      }
+    }
+    pos = xml.indexOf('<channel', endPos);
+  }
+
+  // 2. 节目：同样按块扫描，按频道归组
+  pos = xml.indexOf('<programme');
+  while (pos !== -1) {
+    const endPos = xml.indexOf('</programme>', pos);
+    if (endPos === -1) break;
+
+    const progStr = xml.substring(pos, endPos + 12);
+    const channelMatch = progStr.match(PROG_CHANNEL_REGEX);
+    const startMatch = progStr.match(PROG_START_REGEX);
+    const start = startMatch ? parseXmltvTime(startMatch[1], timeZone) : null;
+
+    if (channelMatch && start !== null) {
+      const stopMatch = progStr.match(PROG_STOP_REGEX);
+      const titleMatch = progStr.match(PROG_TITLE_REGEX);
+      const descMatch = progStr.match(PROG_DESC_REGEX);
+
+      const record = {
+        start,
+        stop: stopMatch ? parseXmltvTime(stopMatch[1], timeZone) : null,
+        title: titleMatch ? detach(cleanContent(titleMatch[1])) : "",
+        desc: descMatch ? detach(cleanContent(descMatch[1])) : "",
+        extra: PROG_EXTRA_HINT_REGEX.test(progStr) ? parseProgrammeExtra(progStr) : null,
+        i18n: parseProgrammeI18n(progStr, titleMatch, descMatch)
+      };
+
+      const channelId = channelMatch[1];
+      let list = programmes.get(channelId);
+      if (!list) {
+        list = [];
+        programmes.set(detach(channelId), list);
+      }
+      list.push(record);
+      programmeCount++;
+    }
+    pos = xml.indexOf('<programme', endPos);
+  }
+
+  // 3. 节目按开始时间排序，查询时可直接二分定位
+  for (const list of programmes.values()) {
+    list.sort((a, b) => a.start - b.start);
+  }
+
+  return {
+    channels,
+    nameMap,
+    programmes,
+    channelCount: channels.size,
+    programmeCount
+  };
+}
+
+/**
+ * 解析节目扩展信息，字段仅在源中存在时出现：
+ * { sub_title, category: [], episode_num: [{ system, value }], rating: [{ system, value }], programme_icon, production_date, credits: { 角色: [] } }
+ * 图标与日期加前缀命名，避免与接口中频道台标 icon、节目日期 date 字段冲突
+ * @returns {Object|null} 没有任何扩展信息时返回 null
+ */
+function parseProgrammeExtra(block) {
+  const extra = {};
+
+  const subTitleMatch = block.match(PROG_SUB_TITLE_REGEX);
+  if (subTitleMatch) extra.sub_title = detach(cleanContent(subTitleMatch[1]));
+
+  const categories = [...block.matchAll(PROG_CATEGORY_REGEX)].map(m => detach(cleanContent(m[1]))).filter(Boolean);
+  if (categories.length) extra.category = categories;
+
+  const episodes = [...block.matchAll(PROG_EPISODE_NUM_REGEX)].map(m => ({
+    system: detach(attrOf(m[1], SYSTEM_ATTR_REGEX)),
+    value: detach(cleanContent(m[2]))
+  })).filter(e => e.value);
+  if (episodes.length) extra.episode_num = episodes;
+
+  const ratings = [...block.matchAll(PROG_RATING_REGEX)].map(m => {
+    const valueMatch = m[2].match(RATING_VALUE_REGEX);
+    return { system: detach(attrOf(m[1], SYSTEM_ATTR_REGEX)), value: valueMatch ? detach(cleanContent(valueMatch[1])) : "" };
+  }).filter(r => r.value);
+  if (ratings.length) extra.rating = ratings;
+
+  const iconMatch = block.match(PROG_ICON_REGEX);
+  if (iconMatch) extra.programme_icon = detach(decodeEntities(iconMatch[1]));
+
+  const dateMatch = block.match(PROG_DATE_REGEX);
+  if (dateMatch) extra.production_date = detach(cleanContent(dateMatch[1]));
+
+  const creditsMatch = block.match(PROG_CREDITS_REGEX);
+  if (creditsMatch) {
+    const credits = {};
+    for (const m of creditsMatch[1].matchAll(CREDIT_ITEM_REGEX)) {
+      const name = detach(cleanContent(m[2]));
+      if (!name) continue;
+      (credits[m[1]] = credits[m[1]] || []).push(name);
+    }
+    if (Object.keys(credits).length) extra.credits = credits;
+  }
+
+  return Object.keys(extra).length ? extra : null;
+}
+
+/**
+ * 解析多语言的 title / desc：只有某字段出现多次时才逐一解析，单语言源不产生额外开销
+ * @returns {Object|null}
+ */
+function parseProgrammeI18n(block, titleMatch, descMatch) {
+  const hasMore = (match, tag) => match && block.indexOf(tag, match.index + tag.length) !== -1;
+  const moreTitles = hasMore(titleMatch, '<title');
+  const moreDescs = hasMore(descMatch, '<desc');
+  if (!moreTitles && !moreDescs) return null;
+
+  const collect = (regex) => [...block.matchAll(regex)]
+    .map(m => ({ lang: detach(attrOf(m[1], LANG_ATTR_REGEX)), value: detach(cleanContent(m[2])) }))
+    .filter(v => v.value);
+
+  const i18n = {};
+  if (moreTitles) i18n.title = collect(PROG_TITLE_ALL_REGEX);
+  if (moreDescs) i18n.desc = collect(PROG_DESC_ALL_REGEX);
+  return i18n;
+}
+
+/**
+ * 读取属性值 (解码实体)，不存在时返回空字符串
+ */
+function attrOf(attrs, regex) {
+  const m = attrs.match(regex);
+  return m ? decodeEntities(m[1]) : "";
+}
+
+/**
+ * 清洗 XML 内容：CDATA 内的文本原样保留，其余部分解码实体，去除首尾空格
+ */
+function cleanContent(str) {
+  if (!str) return "";
+  let result = "";
+  let last = 0;
+  for (const m of str.matchAll(CDATA_REGEX)) {
+    result += decodeEntities(str.slice(last, m.index)) + m[1];
+    last = m.index + m[0].length;
+  }
+  result += decodeEntities(str.slice(last));
+  return result.trim();
+}
+
+/**
+ * 解码 XML 实体 (&amp; &lt; &gt; &quot; &apos; 及 &#123; / &#x7B; 形式的字符引用)
+ * 无法识别的实体原样保留
+ */
+function decodeEntities(str) {
+  if (str.indexOf('&') === -1) return str;
+  return str.replace(ENTITY_REGEX, (m, named, dec, hex) => {
+    if (named) return NAMED_ENTITIES[named.toLowerCase()];
+    const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : m;
+  });
+}
+
+/**
+ * 复制字符串，切断与原始大文本的引用关系
+ * V8 中 substring/正则捕获得到的是指向原串的切片，若直接存入索引，
+ * 整个 XML 文本会因此无法被 GC 回收
+ */
+function detach(str) {
+  return (' ' + str).slice(1);
+}
@@ -0,0 +1,110 @@
+// 文件路径: src/js/playlist.js
+/**
+ * M3U 播放列表模块
+ * [v4.3] 解析 M3U 播放列表，并用与 DIYP 接口相同的归一化规则匹配 EPG 频道，
+ *        用于按播放列表裁剪 XML/GZ 下载内容
+ * [v5.2] 精确匹配失败时使用模糊匹配兜底 (见 fuzzy.js)，仍未匹配的条目附带候选频道名
+ */
+
+import { normalizeName } from './utils.js';
+import { rankChannels, collectSuggestions } from './fuzzy.js';
+
+const MAX_SUGGESTIONS = 5;
+
+const EXTINF_ATTR_REGEX = /([\w-]+)="([^"]*)"/g;
+
+/**
+ * 解析 M3U 文本
+ * @returns {Array<{title: string, tvgId: string, tvgName: string}>}
+ */
+export function parseM3u(text) {
+  const entries = [];
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line.toUpperCase().startsWith('#EXTINF')) continue;
+
+    // 属性 (key="value") 与频道标题以引号之外的第一个逗号分隔，标题本身可以包含引号与逗号
+    const commaPos = findTitleComma(line);
+    const attrs = {};
+    for (const m of line.slice(0, commaPos === -1 ? line.length : commaPos).matchAll(EXTINF_ATTR_REGEX)) {
+      attrs[m[1].toLowerCase()] = m[2].trim();
+    }
+    const title = commaPos === -1 ? '' : line.slice(commaPos + 1).trim();
+
+    const entry = { title, tvgId: attrs['tvg-id'] || '', tvgName: attrs['tvg-name'] || '' };
+    if (entry.title || entry.tvgId || entry.tvgName) entries.push(entry);
+  }
+  return entries;
+}
+
+function findTitleComma(line) {
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ',' && !quoted) return i;
+  }
+  return -1;
+}
+
+/**
+ * 将播放列表条目匹配到各数据源的频道
+ * 匹配顺序：tvg-id 等于频道 ID -> tvg-id / tvg-name / 标题 按名称匹配 (先经别名归一化，再按原名)
+ * 各数据源按优先级依次尝试，命中即停止；全部未命中时再按 tvg-name / 标题 进行模糊匹配
+ * @param {Array<Object>} entries parseM3u 的返回值
+ * @param {Array<Object>} indexes 各数据源索引 (按优先级排序)
+ * @param {(name: string) => string} keyOf 频道名别名归一化函数 (即 normalizeChannelId)
+ * @returns {{matched: Array<{entry, pos, channelId}>, unmatched: Array<{entry, suggestions: string[]}>}}
+ */
+export function matchPlaylist(entries, indexes, keyOf) {
+  const matched = [];
+  const unmatched = [];
+
+  for (const entry of entries) {
+    const found = resolveEntry(entry, indexes, keyOf);
+    if (found) {
+      matched.push({ entry, ...found });
+      continue;
+    }
+    const fuzzy = resolveFuzzy(entry, indexes);
+    if (fuzzy.match) matched.push({ entry, ...fuzzy.match });
+    else unmatched.push({ entry, suggestions: fuzzy.suggestions });
+  }
+  return { matched, unmatched };
+}
+
+function resolveEntry(entry, indexes, keyOf) {
+  const names = [entry.tvgId, entry.tvgName, entry.title].filter(Boolean);
+
+  for (let pos = 0; pos < indexes.length; pos++) {
+    const index = indexes[pos];
+    if (entry.tvgId && index.channels.has(entry.tvgId)) {
+      return { pos, channelId: entry.tvgId };
+    }
+    for (const name of names) {
+      const channelId = index.nameMap.get(normalizeName(keyOf(name))) || index.nameMap.get(normalizeName(name));
+      if (channelId !== undefined) return { pos, channelId };
+    }
+  }
+  return null;
+}
+
+/**
+ * 模糊匹配兜底：按数据源优先级取首个高置信度结果，否则返回各源中最接近的频道名
+ * tvg-id 通常是机器生成的 ID，不参与模糊匹配
+ */
+function resolveFuzzy(entry, indexes) {
+  const names = [entry.tvgName, entry.title].filter(Boolean);
+  const ranked = [];
+
+  for (let pos = 0; pos < indexes.length; pos++) {
+    for (const name of names) {
+      const candidates = rankChannels(name, indexes[pos], MAX_SUGGESTIONS);
+      if (candidates.length > 0 && candidates[0].confident) {
+        return { match: { pos, channelId: candidates[0].id } };
+      }
+      ranked.push(...candidates);
+    }
+  }
+
+  return { match: null, suggestions: collectSuggestions(ranked, MAX_SUGGESTIONS) };
+}
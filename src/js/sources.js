@@ -0,0 +1,64 @@
+// 文件路径: src/js/sources.js
+/**
+ * 数据源配置模块
+ * [v3.9] 支持任意数量的上游 EPG 源，按优先级排序
+ * 合并顺序：EPG_URL (主源) -> EPG_URLS 列表 -> EPG_URL_BACKUP (备用源)，重复地址只保留第一次出现
+ */
+
+/**
+ * 解析 EPG_URLS
+ * 支持两种写法：
+ * 1. 纯文本：多个地址以换行、逗号或空格分隔
+ * 2. JSON 数组：元素可以是地址字符串，或 { url, name, ttl, timeout } 对象 (ttl 单位秒，timeout 单位毫秒)
+ */
+function parseUrlList(raw) {
+  if (!raw) return [];
+  const text = String(raw).trim();
+  if (!text) return [];
+
+  if (text.startsWith('[')) {
+    try {
+      const list = JSON.parse(text);
+      if (Array.isArray(list)) {
+        return list
+          .map(item => (typeof item === 'string' ? { url: item } : item))
+          .filter(item => item && typeof item.url === 'string' && item.url.trim())
+          .map(({ url, name, ttl, timeout }) => ({ url, name, ttl, timeout }));
+      }
+    } catch (e) {
+      console.error("EPG_URLS JSON parse error:", e.message);
+    }
+    return [];
+  }
+
+  return text.split(/[\s,]+/).filter(Boolean).map(url => ({ url }));
+}
+
+/**
+ * 获取全部数据源 (按优先级排序)
+ * @returns {Array<{key: string, name: string, url: string, ttl: number|null, timeout: number|null}>}
+ */
+export function getSources(env) {
+  const entries = [];
+  if (env.EPG_URL) entries.push({ url: env.EPG_URL, name: "主源", key: "main" });
+  entries.push(...parseUrlList(env.EPG_URLS));
+  if (env.EPG_URL_BACKUP) entries.push({ url: env.EPG_URL_BACKUP, name: "备用源", key: "backup" });
+
+  const seen = new Set();
+  const sources = [];
+  for (const entry of entries) {
+    const url = entry.url.trim();
+    if (seen.has(url)) continue;
+    seen.add(url);
+
+    const position = sources.length + 1;
+    sources.push({
+      key: entry.key || `source${position}`,
+      name: entry.name || `源 ${position}`,
+      url,
+      ttl: parseInt(entry.ttl) || null,
+      timeout: parseInt(entry.timeout) || null
+    });
+  }
+  return sources;
+}
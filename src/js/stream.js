@@ -0,0 +1,203 @@
+// 文件路径: src/js/stream.js
+/**
+ * 流式 XML 处理工具模块
+ * [v4.0] 将 XMLTV 文本流按 <channel>/<programme> 元素切分，逐个交给回调处理，
+ *        整个过程不需要把完整文件读入内存
+ * [v4.4] 新增按时间窗口过滤节目的转换流
+ */
+
+import { parseXmltvTime } from './utils.js';
+
+const CHANNEL_OPEN = '<channel';
+const CHANNEL_CLOSE = '</channel>';
+const PROGRAMME_OPEN = '<programme';
+const PROGRAMME_CLOSE = '</programme>';
+const PROG_START_REGEX = /start="([^"]+)"/;
+const PROG_STOP_REGEX = /stop="([^"]+)"/;
+
+/**
+ * 创建元素级别的文本转换流
+ * 回调返回字符串则输出该字符串，返回 null/undefined 则丢弃该片段
+ * @param {Object} handlers
+ * @param {(block: string) => string|null} [handlers.onChannel] 处理完整的 <channel> 元素
+ * @param {(block: string) => string|null} [handlers.onProgramme] 处理完整的 <programme> 元素
+ * @param {(text: string) => string|null} [handlers.onOther] 处理元素之间的其他文本 (XML 头、<tv>、空白等)
+ */
+export function createElementTransform({ onChannel, onProgramme, onOther } = {}) {
+  const passThrough = (text) => text;
+  const handleChannel = onChannel || passThrough;
+  const handleProgramme = onProgramme || passThrough;
+  const handleOther = onOther || passThrough;
+  let buffer = '';
+
+  const emit = (controller, text) => {
+    if (text) controller.enqueue(text);
+  };
+
+  const drain = (controller) => {
+    while (buffer.length > 0) {
+      const next = findNextElement(buffer);
+
+      if (next === -1) {
+        // 末尾可能是被截断的开始标签，保留到下一个分块再判断
+        const keep = buffer.lastIndexOf('<');
+        if (keep === -1) {
+          emit(controller, handleOther(buffer));
+          buffer = '';
+        } else {
+          if (keep > 0) emit(controller, handleOther(buffer.slice(0, keep)));
+          buffer = buffer.slice(keep);
+        }
+        return;
+      }
+
+      if (next > 0) {
+        emit(controller, handleOther(buffer.slice(0, next)));
+        buffer = buffer.slice(next);
+      }
+
+      const isChannel = buffer.startsWith(CHANNEL_OPEN);
+      const closeTag = isChannel ? CHANNEL_CLOSE : PROGRAMME_CLOSE;
+      const end = buffer.indexOf(closeTag);
+      if (end === -1) return; // 元素尚未接收完整
+
+      const block = buffer.slice(0, end + closeTag.length);
+      buffer = buffer.slice(end + closeTag.length);
+      emit(controller, isChannel ? handleChannel(block) : handleProgramme(block));
+    }
+  };
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      buffer += chunk;
+      drain(controller);
+    },
+    flush(controller) {
+      if (buffer) emit(controller, handleOther(buffer));
+      buffer = '';
+    }
+  });
+}
+
+/**
+ * 创建按时间窗口过滤节目的转换流：只保留与 [windowStart, windowEnd) 有交集的 <programme>，
+ * 频道及其他内容原样输出。开始时间无法解析的节目予以保留
+ * @param {number|null} windowStart 窗口起点 (时间戳)，null 表示不限
+ * @param {number|null} windowEnd 窗口终点 (时间戳)，null 表示不限
+ * @param {string} timeZone 节目时间缺少偏移时采用的时区
+ */
+export function createWindowTransform(windowStart, windowEnd, timeZone) {
+  return createElementTransform({
+    onProgramme: (block) => {
+      const startMatch = block.match(PROG_START_REGEX);
+      const start = startMatch ? parseXmltvTime(startMatch[1], timeZone) : null;
+      if (start === null) return block;
+
+      const stopMatch = block.match(PROG_STOP_REGEX);
+      const stop = (stopMatch ? parseXmltvTime(stopMatch[1], timeZone) : null) ?? start;
+      if (windowEnd !== null && start >= windowEnd) return null;
+      if (windowStart !== null && stop <= windowStart && start < windowStart) return null;
+      return block;
+    }
+  });
+}
+
+/**
+ * 查找下一个 <channel 或 <programme 开始标签的位置
+ */
+function findNextElement(text) {
+  const channelPos = indexOfTag(text, CHANNEL_OPEN);
+  const programmePos = indexOfTag(text, PROGRAMME_OPEN);
+  if (channelPos === -1) return programmePos;
+  if (programmePos === -1) return channelPos;
+  return Math.min(channelPos, programmePos);
+}
+
+/**
+ * 查找完整的开始标签 (标签名后必须紧跟空白或 >，避免误匹配同前缀的其他标签)
+ * 若标签名恰好位于文本末尾，无法判断，同样返回其位置，交由调用方等待更多数据
+ */
+function indexOfTag(text, openTag) {
+  let pos = text.indexOf(openTag);
+  while (pos !== -1) {
+    const nextChar = text.charAt(pos + openTag.length);
+    if (nextChar === '' || nextChar === '>' || /\s/.test(nextChar)) return pos;
+    pos = text.indexOf(openTag, pos + 1);
+  }
+  return -1;
+}
+
+/**
+ * 将源字节流转换为文本流 (自动解压 gzip)
+ */
+export function toTextStream(stream, isGzip) {
+  const plain = isGzip ? stream.pipeThrough(new DecompressionStream('gzip')) : stream;
+  return plain.pipeThrough(new TextDecoderStream());
+}
+
+/**
+ * 将文本流编码为最终输出格式的字节流
+ * @param {ReadableStream<string>} textStream
+ * @param {'xml'|'gz'} targetFormat
+ */
+export function encodeTextStream(textStream, targetFormat) {
+  const bytes = textStream.pipeThrough(new TextEncoderStream());
+  return targetFormat === 'gz' ? bytes.pipeThrough(new CompressionStream('gzip')) : bytes;
+}
+
+/**
+ * 读取完整的字节流，累计超过 maxBytes 时立即取消读取并抛出错误 (超限的正文不会全部读入内存)
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readLimited(stream, maxBytes) {
+  const reader = stream.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw new Error(`Too large (over ${maxBytes} bytes)`);
+    }
+    chunks.push(value);
+  }
+
+  const result = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return result;
+}
+
+/**
+ * 将异步迭代器 (如 async generator) 包装为可读流，按需拉取
+ */
+export function streamFromIterator(iterator) {
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        // 跳过空片段：pull 未入队任何数据时，流不会保证再次调用 pull
+        while (true) {
+          const { value, done } = await iterator.next();
+          if (done) {
+            controller.close();
+            return;
+          }
+          if (value) {
+            controller.enqueue(value);
+            return;
+          }
+        }
+      } catch (e) {
+        controller.error(e);
+      }
+    },
+    async cancel(reason) {
+      if (iterator.return) await iterator.return(reason);
+    }
+  });
+}
@@ -1,143 +1,197 @@
 /**
  * 工具函数模块
- * 包含：XML智能匹配、名称归一化、时间格式化等
+ * 包含：索引查询、名称归一化、时间格式化等
  * [优化] 性能极致优化版：移除耗时的全局正则，改用 indexOf 扫描算法
+ * [v3.6] 查询改为基于 parser.js 预构建的索引，不再扫描原始 XML
+ * [v3.7] 节目时间按 XMLTV 偏移解析，并按输出时区筛选日期与格式化
+ * [v3.8] 跨零点的节目同时出现在前后两天的节目单中
+ * [v4.5] 新增「正在播出 / 即将播出」查询 (smartFindNow)
+ * [v4.8] 新增节目搜索 (searchProgrammes)
+ * [v5.0] 查询支持 options.extended，附带节目扩展信息 (见 parser.js 的 extra)
+ * [v5.1] 查询支持 options.langs (语言优先级列表)，选择频道名、节目标题与简介的语言版本
+ * [v5.3] 名称归一化时繁体折叠为简体；查询支持 options.script，将节目标题与简介转换为简体 / 繁体
+ * [v6.0] 新增文本摘要 (hashText)，用于生成响应的 ETag
  */
 
-// === 正则常量定义 (仅保留必要的短正则) ===
-// 匹配节目信息的特定属性 (在小片段中使用，性能无忧)
-const PROG_START_REGEX = /start="([^"]+)"/;
-const PROG_STOP_REGEX = /stop="([^"]+)"/;
-const PROG_TITLE_REGEX = /<title[^>]*>([\s\S]*?)<\/title>/;
-const PROG_DESC_REGEX = /<desc[^>]*>([\s\S]*?)<\/desc>/;
-// 匹配 CDATA 标记
-const CDATA_REGEX = /<!\[CDATA\[([\s\S]*?)\]\]>/gi;
+import { foldChinese, convertScript } from './chinese.js';
+
 // 归一化清理正则
 const NORMALIZE_REGEX = /[\s\-_]/g;
+// 跨日回溯的最大节目时长 (超过此时长的节目视为异常数据)
+const MAX_PROGRAMME_SPAN = 24 * 3600 * 1000;
 
-export function smartFind(xml, userChannelName, targetDateStr, originUrl, currentPath = '/epg/diyp') {
+export function smartFind(index, userChannelName, targetDateStr, originUrl, currentPath = '/epg/diyp', timeZone = 'Asia/Shanghai', options = {}) {
   // 1. 获取频道信息（ID, Name, Icon）
-  const channelInfo = findChannelInfo(xml, userChannelName);
+  const channelInfo = findChannelInfo(index, userChannelName, options.langs);
 
   if (!channelInfo) {
     return { programs: [], response: {} };
   }
 
   // 2. 提取节目单
-  return extractPrograms(xml, channelInfo, targetDateStr, originUrl, currentPath);
+  return extractPrograms(index, channelInfo, targetDateStr, originUrl, currentPath, timeZone, options);
 }
 
 /**
- * 核心查找逻辑：精确匹配优先 -> 模糊匹配兜底
+ * 查询某一时刻正在播出的节目及随后的 count 个节目
+ * 缺少结束时间的节目以下一个节目的开始时间作为结束时间
+ * @returns {{found: boolean, current: Object|null, next: Array<Object>, boundary: number|null, response: Object}}
+ *   boundary 为下一次节目切换的时间戳 (当前节目结束或下一个节目开始)，用于对齐缓存时间
  */
-function findChannelInfo(xml, userChannelName) {
-  const normalizedInput = normalizeName(userChannelName);
-  const escapedName = userChannelName.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  
-  // --- 阶段 A: 极速精确匹配 (Fast Path) ---
-  // 保持不变，这部分已经很快
-  try {
-    const exactRegex = new RegExp(`<display-name[^>]*>\\s*${escapedName}\\s*<\\/display-name>`, 'i');
-    const exactMatch = xml.match(exactRegex);
-
-    if (exactMatch) {
-      const nameIndex = exactMatch.index;
-      const channelStartIndex = xml.lastIndexOf('<channel', nameIndex);
-      
-      if (channelStartIndex !== -1) {
-        const channelEndIndex = xml.indexOf('</channel>', nameIndex);
-        if (channelEndIndex !== -1) {
-          const channelBlock = xml.substring(channelStartIndex, channelEndIndex + 10);
-          const idMatch = channelBlock.match(/id="([^"]+)"/);
-          const iconMatch = channelBlock.match(/<icon src="([^"]+)"/);
-
-          if (idMatch) {
-            return {
-              id: idMatch[1],
-              name: userChannelName.trim(),
-              icon: iconMatch ? iconMatch[1] : ""
-            };
-          }
-        }
+export function smartFindNow(index, userChannelName, now, count, originUrl, currentPath = '/epg/now', timeZone = 'Asia/Shanghai', { extended = false, langs = [], script = null } = {}) {
+  const channelInfo = findChannelInfo(index, userChannelName, langs);
+  if (!channelInfo) {
+    return { found: false, current: null, next: [], boundary: null, response: {} };
+  }
+
+  const list = index.programmes.get(channelInfo.id) || [];
+  const stopOf = (i) => list[i].stop ?? (i + 1 < list.length ? list[i + 1].start : null);
+  const toItem = (i) => ({
+    start: formatTime(list[i].start, timeZone),
+    end: formatTime(stopOf(i), timeZone),
+    start_ts: Math.floor(list[i].start / 1000),
+    end_ts: stopOf(i) === null ? null : Math.floor(stopOf(i) / 1000),
+    title: localize(list[i], 'title', langs, script) || "节目",
+    desc: localize(list[i], 'desc', langs, script),
+    ...(extended ? list[i].extra : null)
+  });
+
+  // 第一个开始时间 > now 的节目即为「下一个」，其前一个节目若尚未结束则为「当前」
+  const nextPos = lowerBound(list, now + 1);
+  let current = null;
+  let boundary = nextPos < list.length ? list[nextPos].start : null;
+
+  const prev = nextPos - 1;
+  if (prev >= 0) {
+    const stop = stopOf(prev);
+    if (stop === null || stop > now) {
+      current = toItem(prev);
+      if (stop !== null) {
+        current.progress = Math.min(100, Math.round((now - list[prev].start) / (stop - list[prev].start) * 100));
+        current.remaining = Math.ceil((stop - now) / 1000);
+        if (boundary === null || stop < boundary) boundary = stop;
       }
     }
-  } catch (e) {
-    console.error("Fast path error:", e);
-  }
-
-  // --- 阶段 B: 全量遍历模糊匹配 (优化版) ---
-  // [重大优化] 放弃使用全局正则 (CHANNEL_REGEX) 遍历大文件。
-  // 改用 indexOf 循环定位 <channel> 标签，每次只截取几百字节的片段进行正则匹配。
-  // 这种方式不仅内存极其节省，而且避免了正则引擎在大字符串上的回溯性能问题。
-  
-  let pos = xml.indexOf('<channel');
-  while (pos !== -1) {
-    const endPos = xml.indexOf('</channel>', pos);
-    if (endPos !== -1) {
-      // 截取单个频道块 (通常很小，<1KB)
-      const channelBlock = xml.substring(pos, endPos + 10);
-      
-      // 在小块中匹配 display-name
-      const nameMatch = channelBlock.match(/<display-name[^>]*>([^<]+)<\/display-name>/);
-      if (nameMatch) {
-        const nameInXml = nameMatch[1];
-        if (normalizeName(nameInXml) === normalizedInput) {
-          // 命中！再提取 ID 和 Icon
-          const idMatch = channelBlock.match(/id="([^"]+)"/);
-          const iconMatch = channelBlock.match(/<icon src="([^"]+)"/);
-          return {
-            id: idMatch ? idMatch[1] : "", // 理论上必然有 ID
-            name: nameInXml,
-            icon: iconMatch ? iconMatch[1] : ""
-          };
-        }
-      }
-      // 继续找下一个
-      pos = xml.indexOf('<channel', endPos);
-    } else {
-      break;
+  }
+
+  const next = [];
+  for (let i = nextPos; i < list.length && next.length < count; i++) {
+    next.push(toItem(i));
+  }
+
+  return {
+    found: current !== null || next.length > 0,
+    current,
+    next,
+    boundary,
+    response: {
+      code: 200,
+      message: "请求成功",
+      channel_id: channelInfo.id,
+      channel_name: channelInfo.name,
+      url: `${originUrl}${currentPath}`,
+      icon: channelInfo.icon,
+      now: Math.floor(now / 1000),
+      current,
+      next
     }
+  };
+}
+
+/**
+ * 核心查找逻辑：归一化名称直接命中索引 (所有 display-name 均已入索引)
+ * 指定 langs 时，返回的频道名按语言优先级从全部 display-name 中选取
+ */
+function findChannelInfo(index, userChannelName, langs = []) {
+  const normalizedInput = normalizeName(userChannelName);
+  const channelId = index.nameMap.get(normalizedInput);
+  if (channelId === undefined) return null;
+
+  const channel = index.channels.get(channelId);
+  // 与原逻辑一致：精确命中 (忽略大小写) 时返回用户输入，模糊命中时返回源中的名称
+  const trimmedInput = userChannelName.trim();
+  const matchedName = channel.names.find(n => normalizeName(n) === normalizedInput) || channel.name;
+  const localizedName = langs.length > 0 ? localizeChannelName(channel, langs) : null;
+  return {
+    id: channel.id,
+    name: localizedName || (matchedName.toUpperCase() === trimmedInput.toUpperCase() ? trimmedInput : matchedName),
+    icon: channel.icon
+  };
+}
+
+/**
+ * 按语言优先级从多个版本中选取：语言代码忽略大小写，zh 可匹配 zh-CN / zh_Hans 等子标签
+ * 均未命中时返回第一个版本
+ * @param {Array<{lang: string, value: string}>} variants
+ * @param {string[]} langs 小写的语言代码，按优先级排序
+ */
+function pickLang(variants, langs) {
+  if (!variants || variants.length === 0) return "";
+  for (const pref of langs) {
+    const hit = variants.find(v => {
+      const lang = (v.lang || '').toLowerCase();
+      return lang === pref || lang.startsWith(`${pref}-`) || lang.startsWith(`${pref}_`);
+    });
+    if (hit) return hit.value;
   }
+  return variants[0].value;
+}
 
-  return null;
+/**
+ * 按语言优先级选取频道名 (从全部 display-name 中选择)
+ */
+export function localizeChannelName(channel, langs = []) {
+  if (langs.length === 0 || channel.names.length === 0) return channel.name;
+  return pickLang(channel.names.map((value, i) => ({ lang: channel.langs[i], value })), langs);
 }
 
 /**
- * 节目单提取逻辑
+ * 读取节目标题 / 简介的指定语言版本 (无多语言版本或未指定语言时返回默认值)
+ * [v5.3] 指定 script 时再转换为简体 / 繁体
  */
-function extractPrograms(xml, channelInfo, targetDateStr, originUrl, currentPath) {
+export function localize(programme, field, langs = [], script = null) {
+  const variants = programme.i18n && programme.i18n[field];
+  const value = (!variants || langs.length === 0) ? programme[field] : pickLang(variants, langs);
+  return convertScript(value, script);
+}
+
+/**
+ * 节目单提取逻辑：按输出时区计算当日起止时间，在已排序的节目数组中二分定位
+ * [v3.8] 前一天开始、跨过零点的节目同样计入当日，开始时间截断为 00:00，
+ *        并以 cross_day / real_start 标记，兼容只认单日节目的播放器
+ */
+function extractPrograms(index, channelInfo, targetDateStr, originUrl, currentPath, timeZone, { extended = false, langs = [], script = null } = {}) {
+  const list = index.programmes.get(channelInfo.id) || [];
+  const range = getZonedDayRange(targetDateStr, timeZone);
+
   const programs = [];
-  const targetDateCompact = targetDateStr.replace(/-/g, '');
-  const channelAttr = `channel="${channelInfo.id}"`;
-  
-  // 使用 indexOf 快速定位节目单 (比正则快很多)
-  let pos = xml.indexOf(channelAttr);
-  while (pos !== -1) {
-    const startTagIndex = xml.lastIndexOf('<programme', pos);
-    const endTagIndex = xml.indexOf('</programme>', pos);
-
-    if (startTagIndex !== -1 && endTagIndex !== -1) {
-      // 截取单个节目片段
-      const progStr = xml.substring(startTagIndex, endTagIndex + 12);
-      
-      // 使用预编译正则
-      const startMatch = progStr.match(PROG_START_REGEX);
-      
-      // 匹配日期 (利用字符串前缀匹配，避免解析整个日期)
-      if (startMatch && startMatch[1].startsWith(targetDateCompact)) {
-        const stopMatch = progStr.match(PROG_STOP_REGEX);
-        const titleMatch = progStr.match(PROG_TITLE_REGEX);
-        const descMatch = progStr.match(PROG_DESC_REGEX);
-
-        programs.push({
-          start: formatTime(startMatch[1]),
-          end: stopMatch ? formatTime(stopMatch[1]) : "",
-          title: titleMatch ? cleanContent(titleMatch[1]) : "节目",
-          desc: descMatch ? cleanContent(descMatch[1]) : "" 
-        });
-      }
+  if (range) {
+    const first = lowerBound(list, range.start);
+
+    // 1. 向前回溯：开始于前一天但结束于当日的节目
+    for (const p of findCarriedOver(list, first, range.start)) {
+      programs.push({
+        start: "00:00",
+        end: formatTime(p.stop, timeZone),
+        title: localize(p, 'title', langs, script) || "节目",
+        desc: localize(p, 'desc', langs, script),
+        cross_day: true,
+        real_start: formatTime(p.start, timeZone),
+        ...(extended ? p.extra : null)
+      });
+    }
+
+    // 2. 当日开始的节目 (结束于次日的节目保留真实结束时间)
+    for (let i = first; i < list.length && list[i].start < range.end; i++) {
+      const p = list[i];
+      programs.push({
+        start: formatTime(p.start, timeZone),
+        end: formatTime(p.stop, timeZone),
+        title: localize(p, 'title', langs, script) || "节目",
+        desc: localize(p, 'desc', langs, script),
+        ...(extended ? p.extra : null)
+      });
     }
-    pos = xml.indexOf(channelAttr, pos + 1);
   }
 
   return {
@@ -156,22 +210,261 @@ function extractPrograms(xml, channelInfo, targetDateStr, originUrl, currentPath
 }
 
 /**
- * 清洗 XML 内容：去除 CDATA 标签，去除首尾空格
+ * 在单个数据源索引中搜索节目：标题或简介包含全部关键词 (忽略大小写，中文按子串匹配)
+ * @param {Object} index 数据源索引 (见 parser.js)
+ * @param {string[]} terms 关键词 (已转为小写)
+ * @param {Object} [options]
+ * @param {Array<{start: number, end: number}>|null} [options.windows] 时间窗口，节目与任一窗口有交集才返回；null 表示不限
+ * @param {Set<string>|null} [options.channelIds] 只搜索这些频道；null 表示全部频道
+ * @returns {Array<{channel: Object, programme: Object}>}
+ */
+export function searchProgrammes(index, terms, { windows = null, channelIds = null } = {}) {
+  const matches = (p) => {
+    // 多语言节目的所有版本均参与匹配；不区分繁简 (调用方传入的关键词需已折叠为简体)
+    const text = getSearchText(p);
+    return terms.every(term => text.includes(term));
+  };
+
+  const hits = [];
+  for (const [channelId, list] of index.programmes) {
+    if (channelIds && !channelIds.has(channelId)) continue;
+    const channel = index.channels.get(channelId);
+    if (!channel) continue;
+
+    if (!windows) {
+      for (const p of list) {
+        if (matches(p)) hits.push({ channel, programme: p });
+      }
+      continue;
+    }
+
+    // 按窗口二分定位，向前回溯 MAX_PROGRAMME_SPAN 以包含窗口开始前已开播的节目
+    const seen = new Set();
+    for (const w of windows) {
+      for (let i = lowerBound(list, w.start - MAX_PROGRAMME_SPAN); i < list.length && list[i].start < w.end; i++) {
+        const p = list[i];
+        const stop = p.stop === null ? p.start + 1 : p.stop;
+        if (stop <= w.start || seen.has(i) || !matches(p)) continue;
+        seen.add(i);
+        hits.push({ channel, programme: p });
+      }
+    }
+  }
+  return hits;
+}
+
+/**
+ * 节目的搜索文本：标题、简介及其全部语言版本，转为小写并将繁体折叠为简体
+ * 首次搜索时才生成并保存在节目上，之后的搜索不再重复转换；不使用搜索接口时不占用内存
+ */
+function getSearchText(p) {
+  if (p.searchText === undefined) {
+    const variants = p.i18n ? Object.values(p.i18n).flat().map(v => v.value) : [];
+    p.searchText = foldChinese([p.title, p.desc, ...variants].join('\n').toLowerCase());
+  }
+  return p.searchText;
+}
+
+/**
+ * 查找在 dayStart 之前开始、之后结束的节目 (按开始时间升序)
+ * 只回溯 MAX_PROGRAMME_SPAN 范围内的节目，避免异常数据导致全表扫描
  */
-function cleanContent(str) {
-  if (!str) return "";
-  return str.replace(CDATA_REGEX, '$1').trim();
+function findCarriedOver(list, first, dayStart) {
+  const result = [];
+  for (let i = first - 1; i >= 0 && list[i].start > dayStart - MAX_PROGRAMME_SPAN; i--) {
+    if (list[i].stop !== null && list[i].stop > dayStart) result.unshift(list[i]);
+  }
+  return result;
+}
+
+/**
+ * 判断已排序的节目数组中是否存在与 [start, stop) 重叠的节目
+ * 缺少结束时间的节目按瞬时节目处理
+ */
+export function hasOverlap(list, start, stop) {
+  const end = stop === null ? start + 1 : stop;
+  for (let i = lowerBound(list, end) - 1; i >= 0 && list[i].start > start - MAX_PROGRAMME_SPAN; i--) {
+    const pStop = list[i].stop === null ? list[i].start + 1 : list[i].stop;
+    if (pStop > start) return true;
+  }
+  return false;
+}
+
+/**
+ * 二分查找：返回第一个开始时间 >= ts 的节目下标
+ */
+function lowerBound(list, ts) {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (list[mid].start < ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
 }
 
 export function normalizeName(name) {
   if (!name) return "";
-  // 核心模糊匹配：转大写，移除空格、横线、下划线
-  return name.trim().toUpperCase().replace(NORMALIZE_REGEX, '');
+  // 核心模糊匹配：转大写，移除空格、横线、下划线，繁体折叠为简体
+  return foldChinese(name.trim().toUpperCase().replace(NORMALIZE_REGEX, ''));
+}
+
+// =========================================================
+// 时间与时区工具
+// [v3.7] XMLTV 时间带有 +0800/+0000 等偏移，统一解析为时间戳后再按输出时区格式化
+// =========================================================
+const XMLTV_TIME_REGEX = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*(?:([+-])(\d{2}):?(\d{2}))?/;
+const DATE_REGEX = /^(\d{4})-?(\d{2})-?(\d{2})$/;
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// 时区格式化器与偏移量缓存 (偏移按小时缓存，避免对每个节目都调用 Intl)
+const ZONE_FORMATTERS = new Map();
+const ZONE_OFFSET_CACHE = new Map();
+
+function getZoneFormatter(timeZone) {
+  let formatter = ZONE_FORMATTERS.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    ZONE_FORMATTERS.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * 校验时区名称是否可用 (如 Asia/Shanghai、UTC)
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getZoneFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 获取某一时刻在指定时区的 UTC 偏移 (毫秒)
+ */
+export function getZoneOffset(ts, timeZone) {
+  const cacheKey = `${timeZone}|${Math.floor(ts / HOUR_MS)}`;
+  let offset = ZONE_OFFSET_CACHE.get(cacheKey);
+  if (offset !== undefined) return offset;
+
+  const parts = {};
+  for (const p of getZoneFormatter(timeZone).formatToParts(new Date(ts))) {
+    parts[p.type] = p.value;
+  }
+  const wallTime = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  offset = wallTime - Math.floor(ts / 1000) * 1000;
+
+  if (ZONE_OFFSET_CACHE.size > 10000) ZONE_OFFSET_CACHE.clear();
+  ZONE_OFFSET_CACHE.set(cacheKey, offset);
+  return offset;
+}
+
+/**
+ * 将指定时区的「墙上时间」(以 UTC 字段表示) 换算为真实时间戳
+ */
+function zonedWallTimeToTs(wallTime, timeZone) {
+  const guess = wallTime - getZoneOffset(wallTime, timeZone);
+  return wallTime - getZoneOffset(guess, timeZone);
 }
 
-export function formatTime(raw) {
-  if (!raw || raw.length < 12) return "";
-  return `${raw.substring(8, 10)}:${raw.substring(10, 12)}`;
+/**
+ * 解析 XMLTV 时间 (YYYYMMDDHHMMSS +HHMM) 为时间戳
+ * 未携带偏移时按 fallbackTimeZone 的本地时间处理
+ * @returns {number|null}
+ */
+export function parseXmltvTime(raw, fallbackTimeZone) {
+  if (!raw) return null;
+  const m = raw.match(XMLTV_TIME_REGEX);
+  if (!m) return null;
+
+  const wallTime = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+  if (m[7]) {
+    const offset = (parseInt(m[8], 10) * 60 + parseInt(m[9], 10)) * 60000;
+    return m[7] === '+' ? wallTime - offset : wallTime + offset;
+  }
+  return zonedWallTimeToTs(wallTime, fallbackTimeZone);
+}
+
+/**
+ * 计算指定时区下某日 (YYYY-MM-DD 或 YYYYMMDD) 的起止时间戳 [start, end)
+ * @returns {{start: number, end: number}|null} 日期格式非法时返回 null
+ */
+export function getZonedDayRange(dateStr, timeZone) {
+  const m = (dateStr || '').match(DATE_REGEX);
+  if (!m) return null;
+  const dayWall = Date.UTC(+m[1], +m[2] - 1, +m[3]);
+  return {
+    start: zonedWallTimeToTs(dayWall, timeZone),
+    end: zonedWallTimeToTs(dayWall + DAY_MS, timeZone)
+  };
+}
+
+/**
+ * 日期加减天数 (YYYY-MM-DD 或 YYYYMMDD -> YYYY-MM-DD)，按日历计算，不受夏令时影响
+ * @returns {string|null} 日期格式非法时返回 null
+ */
+export function shiftDate(dateStr, days) {
+  const m = (dateStr || '').match(DATE_REGEX);
+  if (!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]) + days * DAY_MS);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}-${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+
+/**
+ * 计算指定时区下某日的时段 [from, to)，from/to 为 HH:MM，缺省时分别取当日起止
+ * to 不晚于 from 时视为跨过零点 (如 22:00-02:00)
+ * @returns {{start: number, end: number}|null} 日期或时刻格式非法时返回 null
+ */
+export function getZonedWindow(dateStr, from, to, timeZone) {
+  const m = (dateStr || '').match(DATE_REGEX);
+  if (!m) return null;
+  const fromMs = from ? parseClock(from) : 0;
+  let toMs = to ? parseClock(to) : DAY_MS;
+  if (fromMs === null || toMs === null) return null;
+  if (toMs <= fromMs) toMs += DAY_MS;
+
+  const dayWall = Date.UTC(+m[1], +m[2] - 1, +m[3]);
+  return {
+    start: zonedWallTimeToTs(dayWall + fromMs, timeZone),
+    end: zonedWallTimeToTs(dayWall + toMs, timeZone)
+  };
+}
+
+/**
+ * HH:MM -> 当日毫秒数，格式非法时返回 null
+ */
+function parseClock(str) {
+  const m = String(str).match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || +m[1] > 24 || +m[2] > 59) return null;
+  return (+m[1] * 60 + +m[2]) * 60 * 1000;
+}
+
+/**
+ * 时间戳 -> 指定时区的日期 (YYYY-MM-DD)
+ */
+export function formatZonedDate(ts, timeZone) {
+  const d = new Date(ts + getZoneOffset(ts, timeZone));
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}-${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+
+/**
+ * 时间戳 -> 指定时区的时刻 (HH:MM)
+ */
+export function formatTime(ts, timeZone) {
+  if (ts === null || ts === undefined) return "";
+  const d = new Date(ts + getZoneOffset(ts, timeZone));
+  return `${String(d.getUTCHours()).padStart(2, '0')}:${String(d.getUTCMinutes()).padStart(2, '0')}`;
 }
 
 export function isGzipContent(headers, urlStr) {
@@ -179,4 +472,25 @@ export function isGzipContent(headers, urlStr) {
   const type = headers.get('content-type') || '';
   if (type.includes('application/gzip') || type.includes('application/x-gzip')) return true;
   return false;
-}
\ No newline at end of file
+}
+
+/**
+ * 文本摘要 (SHA-256 的前 16 位十六进制)，用于 ETag 等无需加密强度的场景
+ */
+export async function hashText(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].slice(0, 8).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 比较令牌 (耗时与内容无关，避免按响应时间逐字猜测)
+ */
+export function safeEqual(a, b) {
+  const left = String(a);
+  const right = String(b);
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < right.length; i++) {
+    diff |= (left.charCodeAt(i % (left.length || 1)) || 0) ^ right.charCodeAt(i);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,104 @@
+// 文件路径: test/access.test.js
+/**
+ * 访问控制 (access.js) 测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkAccess, parseApiKeys } from '../src/js/access.js';
+
+let clientSeq = 0;
+
+function request(path, headers = {}) {
+  const url = new URL(`http://epg.local${path}`);
+  return { request: new Request(url, { headers }), url, path };
+}
+
+// 连续发送 count 个请求，返回最后一次的结果
+function hit(count, env, path, headers) {
+  let result = null;
+  for (let i = 0; i < count; i++) {
+    const req = request(path, headers);
+    result = checkAccess(req.request, req.url, req.path, env);
+  }
+  return result;
+}
+
+// 每个用例使用不同的 IP，避免共享模块内的限流计数
+function nextIp() {
+  clientSeq++;
+  return `203.0.113.${clientSeq}`;
+}
+
+test('API_KEYS 支持名称与 JSON 写法', () => {
+  assert.deepEqual(parseApiKeys('app:k1, k2'), [
+    { key: 'k1', label: 'app', rateLimit: null },
+    { key: 'k2', label: 'key2', rateLimit: null }
+  ]);
+  assert.deepEqual(parseApiKeys('[{"key":"k3","label":"tv","rate_limit":0}]'), [
+    { key: 'k3', label: 'tv', rateLimit: 0 }
+  ]);
+});
+
+test('受保护路由缺少或携带错误密钥时返回 401', async () => {
+  const env = { API_KEYS: 'app:secret' };
+  assert.equal(hit(1, env, '/epg/diyp?ch=CCTV1').status, 401);
+  assert.equal(hit(1, env, '/epg/diyp?ch=CCTV1&key=wrong').status, 401);
+  assert.equal(hit(1, env, '/epg/diyp?ch=CCTV1&key=secret'), null);
+  assert.equal(hit(1, env, '/epg/logo/CCTV1'), null);
+  assert.equal(hit(1, env, '/healthz'), null);
+
+  const denied = hit(1, env, '/api/status', { 'X-API-Key': 'wrong' });
+  assert.equal((await denied.json()).message, 'Invalid API key');
+});
+
+test('Cloudflare 上按 CF-Connecting-IP 限流', () => {
+  const env = { RATE_LIMIT: '2' };
+  const headers = { 'CF-Connecting-IP': nextIp() };
+  assert.equal(hit(2, env, '/epg/diyp', headers), null);
+
+  const denied = hit(1, env, '/epg/diyp', headers);
+  assert.equal(denied.status, 429);
+  assert.equal(denied.headers.get('X-RateLimit-Limit'), '2');
+  assert.ok(Number(denied.headers.get('Retry-After')) >= 1);
+
+  // 其他客户端不受影响，/healthz 不计数
+  assert.equal(hit(1, env, '/epg/diyp', { 'CF-Connecting-IP': nextIp() }), null);
+  assert.equal(hit(1, env, '/healthz', headers), null);
+});
+
+test('Cloudflare 上忽略 TRUSTED_PROXY_HEADER 与 X-Forwarded-For', () => {
+  const env = { RATE_LIMIT: '1', TRUSTED_PROXY_HEADER: 'X-Forwarded-For' };
+  const ip = nextIp();
+  assert.equal(hit(1, env, '/epg/diyp', { 'CF-Connecting-IP': ip, 'X-Forwarded-For': nextIp() }), null);
+  assert.equal(hit(1, env, '/epg/diyp', { 'CF-Connecting-IP': ip, 'X-Forwarded-For': nextIp() }).status, 429);
+});
+
+test('Docker 反向代理之后取可信请求头的最后一个地址，客户端伪造的地址无效', () => {
+  const env = { RATE_LIMIT: '1', EPG_RUNTIME: 'docker', TRUSTED_PROXY_HEADER: 'X-Forwarded-For' };
+  const proxyIp = '10.0.0.2';
+  const clientIp = nextIp();
+
+  assert.equal(hit(1, env, '/epg/diyp', { 'CF-Connecting-IP': proxyIp, 'X-Forwarded-For': clientIp }), null);
+  // 客户端自带 X-Forwarded-For / CF-Connecting-IP 冒充其他地址，代理追加的真实地址仍在最后
+  const spoofed = { 'CF-Connecting-IP': nextIp(), 'X-Forwarded-For': `${nextIp()}, ${clientIp}` };
+  assert.equal(hit(1, env, '/epg/diyp', spoofed).status, 429);
+
+  // 同一代理转发的其他客户端单独计数
+  assert.equal(hit(1, env, '/epg/diyp', { 'CF-Connecting-IP': proxyIp, 'X-Forwarded-For': nextIp() }), null);
+});
+
+test('Docker 请求缺少可信请求头时退回连接地址，不会关闭限流', () => {
+  const env = { RATE_LIMIT: '1', EPG_RUNTIME: 'docker', TRUSTED_PROXY_HEADER: 'X-Real-IP' };
+  const socketIp = nextIp();
+  assert.equal(hit(1, env, '/epg/diyp', { 'CF-Connecting-IP': socketIp }), null);
+  assert.equal(hit(1, env, '/epg/diyp', { 'CF-Connecting-IP': socketIp }).status, 429);
+});
+
+test('携带密钥时按密钥计数，rate_limit 为 0 时不限', () => {
+  const env = { RATE_LIMIT: '1', API_KEYS: '[{"key":"a1","label":"a"},{"key":"b1","label":"b","rate_limit":0}]' };
+  const ip = nextIp();
+  assert.equal(hit(1, env, '/epg/diyp?key=a1', { 'CF-Connecting-IP': ip }), null);
+  assert.equal(hit(1, env, '/epg/diyp?key=a1', { 'CF-Connecting-IP': nextIp() }).status, 429);
+  assert.equal(hit(5, env, '/epg/diyp?key=b1', { 'CF-Connecting-IP': ip }), null);
+});
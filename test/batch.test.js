@@ -0,0 +1,44 @@
+// 文件路径: test/batch.test.js
+/**
+ * 批量查询接口 (/epg/batch) 请求体校验测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../src/js/index.js';
+
+const env = { EPG_URL: 'http://epg.invalid/epg.xml' };
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+
+function postBatch(body) {
+  const request = new Request('http://epg.local/epg/batch', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return worker.fetch(request, env, ctx);
+}
+
+test('日期字段类型错误时返回 400，而不是 500', async () => {
+  for (const [field, value] of [['date', 20240101], ['start', true], ['end', ['2024-01-01']], ['days', { n: 2 }]]) {
+    const res = await postBatch({ channels: ['CCTV1'], [field]: value });
+    assert.equal(res.status, 400, field);
+    const data = await res.json();
+    assert.equal(data.code, 400);
+    assert.match(data.message, new RegExp(`Invalid ${field}`));
+  }
+});
+
+test('请求体不是对象或数组时返回 400', async () => {
+  for (const body of ['null', '42', '"CCTV1"', '{']) {
+    const res = await postBatch(body);
+    assert.equal(res.status, 400, body);
+    assert.match((await res.json()).message, /Invalid JSON body/);
+  }
+});
+
+test('缺少频道时返回 400', async () => {
+  const res = await postBatch({ channels: [1, ''], date: '2024-01-01' });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).message, 'Missing params: ch');
+});
@@ -0,0 +1,59 @@
+// 文件路径: test/carry-over.test.js
+/**
+ * DIYP 单日节目单中跨零点节目 (utils.js smartFind) 测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEpgIndex } from '../src/js/parser.js';
+import { smartFind } from '../src/js/utils.js';
+
+const TIME_ZONE = 'Asia/Shanghai';
+
+function programme(start, stop, title) {
+  const stopAttr = stop ? ` stop="${stop} +0800"` : '';
+  return `<programme channel="c1" start="${start} +0800"${stopAttr}><title>${title}</title></programme>`;
+}
+
+function find(programmes, date = '2026-10-19') {
+  const index = buildEpgIndex(`<tv><channel id="c1"><display-name>CCTV1</display-name></channel>${programmes.join('')}</tv>`, TIME_ZONE);
+  return smartFind(index, 'CCTV1', date, 'http://epg.local', '/epg/diyp', TIME_ZONE).programs;
+}
+
+test('前一天开始、当天结束的节目以 00:00 开头并标记真实开始时间', () => {
+  const programs = find([
+    programme('20261018200000', '20261018230000', '黄金剧场'),
+    programme('20261018230000', '20261019013000', '午夜电影'),
+    programme('20261019013000', '20261019060000', '重播')
+  ]);
+
+  assert.deepEqual(programs.map(p => [p.start, p.end, p.title]), [
+    ['00:00', '01:30', '午夜电影'],
+    ['01:30', '06:00', '重播']
+  ]);
+  assert.equal(programs[0].cross_day, true);
+  assert.equal(programs[0].real_start, '23:00');
+  assert.equal(programs[1].cross_day, undefined);
+});
+
+test('恰好在零点结束或缺少结束时间的前一天节目不计入当天', () => {
+  const programs = find([
+    programme('20261018220000', '20261019000000', '晚间新闻'),
+    programme('20261018230000', null, '未知时长'),
+    programme('20261019000000', '20261019010000', '零点节目')
+  ]);
+  assert.deepEqual(programs.map(p => p.title), ['零点节目']);
+});
+
+test('当天最后一个节目保留次日的结束时间', () => {
+  const programs = find([programme('20261019230000', '20261020010000', '跨夜节目')]);
+  assert.deepEqual(programs.map(p => [p.start, p.end, p.cross_day]), [['23:00', '01:00', undefined]]);
+});
+
+test('超过 24 小时之前开始的节目不回溯', () => {
+  const programs = find([
+    programme('20261017120000', '20261019020000', '异常长节目'),
+    programme('20261019020000', '20261019030000', '正常节目')
+  ]);
+  assert.deepEqual(programs.map(p => p.title), ['正常节目']);
+});
@@ -0,0 +1,60 @@
+// 文件路径: test/chinese.test.js
+/**
+ * 繁简转换 (chinese.js) 及其在频道匹配、节目搜索中的使用测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { foldChinese, parseScript, convertScript } from '../src/js/chinese.js';
+import { buildEpgIndex } from '../src/js/parser.js';
+import { normalizeName, searchProgrammes, smartFind } from '../src/js/utils.js';
+
+const TIME_ZONE = 'Asia/Shanghai';
+
+test('繁体与港台异体字折叠为简体，其他字符原样保留', () => {
+  assert.equal(foldChinese('鳳凰衛視中文台'), '凤凰卫视中文台');
+  assert.equal(foldChinese('翡翠臺 HD-1'), '翡翠台 HD-1');
+  assert.equal(foldChinese('凤凰卫视'), '凤凰卫视');
+  assert.equal(foldChinese(''), '');
+  assert.equal(foldChinese(null), null);
+});
+
+test('输出字形参数的各种写法', () => {
+  assert.equal(parseScript('hant'), 'hant');
+  assert.equal(parseScript('zh_TW'), 'hant');
+  assert.equal(parseScript(' Simplified '), 'hans');
+  assert.equal(parseScript('zh-CN'), 'hans');
+  assert.equal(parseScript('latin'), null);
+  assert.equal(parseScript(''), null);
+});
+
+test('按字形转换标题', () => {
+  assert.equal(convertScript('新闻联播', 'hant'), '新聞聯播');
+  assert.equal(convertScript('新聞聯播', 'hans'), '新闻联播');
+  assert.equal(convertScript('新聞聯播', null), '新聞聯播');
+});
+
+const index = buildEpgIndex(`<tv>
+  <channel id="phoenix"><display-name>鳳凰衛視中文台</display-name></channel>
+  <programme channel="phoenix" start="20261019200000 +0800" stop="20261019210000 +0800">
+    <title>時事直通車</title><desc>新聞節目</desc>
+  </programme>
+  <programme channel="phoenix" start="20261019210000 +0800" stop="20261019220000 +0800">
+    <title>锵锵行天下</title>
+  </programme>
+</tv>`, TIME_ZONE);
+
+test('简体输入匹配繁体频道名', () => {
+  assert.equal(normalizeName('凤凰卫视中文台'), normalizeName('鳳凰衛視中文台'));
+  const { response } = smartFind(index, '凤凰卫视中文台', '2026-10-19', 'http://epg.local', '/epg/diyp', TIME_ZONE);
+  assert.equal(response.channel_id, 'phoenix');
+  assert.equal(response.epg_data.length, 2);
+});
+
+test('节目搜索不区分繁简', () => {
+  const search = (q) => searchProgrammes(index, [foldChinese(q.toLowerCase())]).map(hit => hit.programme.title);
+  assert.deepEqual(search('时事'), ['時事直通車']);
+  assert.deepEqual(search('新聞'), ['時事直通車']);
+  assert.deepEqual(search('鏘鏘'), ['锵锵行天下']);
+  assert.deepEqual(search('体育'), []);
+});
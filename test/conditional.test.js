@@ -0,0 +1,117 @@
+// 文件路径: test/conditional.test.js
+/**
+ * 条件请求测试：上游 ETag / Last-Modified 重新验证，接口的 304 与 HEAD 响应
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const SOURCE_URL = 'http://epg.invalid/epg.xml';
+const XML = `<?xml version="1.0" encoding="UTF-8"?>
+<tv>
+  <channel id="cctv1"><display-name>CCTV1</display-name></channel>
+  <programme channel="cctv1" start="20261019060000 +0800" stop="20261019070000 +0800"><title>朝闻天下</title></programme>
+</tv>`;
+
+// 上游：支持 If-None-Match，记录收到的条件头
+const upstream = { etag: '"v1"', requests: [] };
+globalThis.fetch = async (input, init = {}) => {
+  const headers = new Headers(init.headers || {});
+  upstream.requests.push(headers.get('If-None-Match'));
+  if (headers.get('If-None-Match') === upstream.etag) {
+    return new Response(null, { status: 304, headers: { ETag: upstream.etag } });
+  }
+  return new Response(XML, {
+    headers: { 'Content-Type': 'application/xml', ETag: upstream.etag, 'Last-Modified': 'Mon, 19 Oct 2026 00:00:00 GMT' }
+  });
+};
+
+// 内存中的 Cache API
+const store = new Map();
+globalThis.caches = {
+  default: {
+    async match(req) { return store.get(req.url)?.clone(); },
+    async put(req, res) { store.set(req.url, new Response(await res.arrayBuffer(), res)); },
+    async delete(req) { return store.delete(req.url); }
+  }
+};
+
+const { default: worker } = await import('../src/js/index.js');
+const env = { EPG_URL: SOURCE_URL, CACHE_TTL: '1', EPG_TIMEZONE: 'Asia/Shanghai' };
+
+async function call(path, init = {}) {
+  const waits = [];
+  const ctx = { waitUntil: promise => waits.push(promise), passThroughOnException() {} };
+  const res = await worker.fetch(new Request(`http://epg.local${path}`, init), env, ctx);
+  await Promise.all(waits);
+  return res;
+}
+
+const DIYP = '/epg/diyp?ch=CCTV1&date=2026-10-19';
+
+test('DIYP 响应带 ETag，条件请求命中时返回 304 且没有正文', async () => {
+  const first = await call(DIYP);
+  assert.equal(first.status, 200);
+  assert.equal((await first.json()).epg_data[0].title, '朝闻天下');
+  const etag = first.headers.get('ETag');
+  assert.match(etag, /^W\/"/);
+  assert.ok(first.headers.get('Last-Modified'));
+
+  // 第二次来自响应缓存
+  for (const headers of [{ 'If-None-Match': etag }, { 'If-None-Match': `"other", ${etag.slice(2)}` }]) {
+    const res = await call(DIYP, { headers });
+    assert.equal(res.status, 304);
+    assert.equal(res.body, null);
+    assert.equal(res.headers.get('ETag'), etag);
+    assert.equal(res.headers.get('Content-Type'), null);
+  }
+
+  const changed = await call(DIYP, { headers: { 'If-None-Match': '"stale"' } });
+  assert.equal(changed.status, 200);
+  await changed.arrayBuffer();
+
+  const since = await call(DIYP, { headers: { 'If-Modified-Since': first.headers.get('Last-Modified') } });
+  assert.equal(since.status, 304);
+});
+
+test('内部的缓存写入时间头不会发给客户端', async () => {
+  assert.ok(store.size > 0);
+  for (const init of [{}, { method: 'HEAD' }, { headers: { 'If-None-Match': '*' } }]) {
+    const res = await call(DIYP, init);
+    assert.equal(res.headers.get('X-EPG-Cached-At'), null);
+    await res.arrayBuffer();
+  }
+});
+
+test('HEAD 请求返回与 GET 相同的头但没有正文', async () => {
+  const res = await call(DIYP, { method: 'HEAD' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body, null);
+  assert.ok(res.headers.get('ETag'));
+
+  const xml = await call('/epg/epg.xml', { method: 'HEAD' });
+  assert.equal(xml.status, 200);
+  assert.equal(xml.body, null);
+});
+
+test('XML 下载支持 304', async () => {
+  const first = await call('/epg/epg.xml');
+  assert.equal(first.status, 200);
+  await first.text();
+  const res = await call('/epg/epg.xml', { headers: { 'If-None-Match': first.headers.get('ETag') } });
+  assert.equal(res.status, 304);
+  assert.equal(res.body, null);
+});
+
+test('缓存过期后向上游发送条件请求，上游 304 时继续使用原数据', async () => {
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  upstream.requests.length = 0;
+
+  const res = await call('/epg/diyp?ch=CCTV1&date=2026-10-20');
+  await res.arrayBuffer();
+  assert.deepEqual(upstream.requests, ['"v1"']);
+
+  const status = await (await call('/api/status')).json();
+  assert.equal(status.sources[0].not_modified, true);
+  assert.equal(status.sources[0].programmes, 1);
+});
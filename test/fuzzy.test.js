@@ -0,0 +1,61 @@
+// 文件路径: test/fuzzy.test.js
+/**
+ * 频道名模糊匹配 (fuzzy.js) 测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEpgIndex } from '../src/js/parser.js';
+import { fuzzyKey, rankChannels, collectSuggestions } from '../src/js/fuzzy.js';
+
+const index = buildEpgIndex(`<tv>
+  <channel id="cctv1"><display-name>CCTV-1 综合</display-name></channel>
+  <channel id="cctv11"><display-name>CCTV-11 戏曲</display-name></channel>
+  <channel id="cctv5"><display-name>CCTV-5 体育</display-name></channel>
+  <channel id="cctv5p"><display-name>CCTV-5+ 体育赛事</display-name></channel>
+  <channel id="hunan"><display-name>湖南卫视</display-name><display-name>湖南卫视高清</display-name></channel>
+  <channel id="hunandy"><display-name>湖南电影</display-name></channel>
+</tv>`, 'Asia/Shanghai');
+
+test('规范化：前缀、中文数字、后缀与繁体', () => {
+  for (const name of ['中央一台', 'CCTV-1 综合', 'cctv1高清', '央视一套', 'CCTV 1 HD']) {
+    assert.equal(fuzzyKey(name), 'CCTV1', name);
+  }
+  assert.equal(fuzzyKey('中央十一台'), 'CCTV11');
+  assert.equal(fuzzyKey('CCTV5+ 体育赛事'), 'CCTV5+');
+  assert.equal(fuzzyKey('湖南衛視'), '湖南卫视');
+});
+
+test('规范化后相同的名称得分为 1 并自动匹配', () => {
+  const [top] = rankChannels('央视一套', index);
+  assert.deepEqual(top, { id: 'cctv1', name: 'CCTV-1 综合', score: 1, confident: true });
+});
+
+test('频道号或 + 号不同的候选不会自动匹配', () => {
+  const ranked = rankChannels('CCTV1 高清频道', index);
+  assert.equal(ranked[0].id, 'cctv1');
+  const cctv11 = rankChannels('CCTV111', index).find(item => item.id === 'cctv11');
+  assert.ok(cctv11 && cctv11.score >= 0.8 && !cctv11.confident);
+
+  const sports = rankChannels('CCTV5+', index);
+  assert.equal(sports[0].id, 'cctv5p');
+  assert.ok(sports.every(item => item.id !== 'cctv5' || !item.confident));
+});
+
+test('按得分降序，同一频道只保留得分最高的名称', () => {
+  const ranked = rankChannels('湖南', index);
+  assert.deepEqual(ranked.map(item => item.id), ['hunan', 'hunandy']);
+  assert.ok(ranked[0].score >= ranked[1].score);
+  assert.ok(ranked.every(item => !item.confident));
+  assert.equal(rankChannels('完全无关', index).length, 0);
+  assert.equal(rankChannels('CCTV', index, 2).length, 2);
+});
+
+test('候选频道名按规范化名称去重', () => {
+  const suggestions = collectSuggestions([
+    { name: 'CCTV1', score: 0.7 },
+    { name: 'CCTV-1 综合', score: 0.9 },
+    { name: '湖南卫视', score: 0.5 }
+  ]);
+  assert.deepEqual(suggestions, ['CCTV-1 综合', '湖南卫视']);
+});
@@ -0,0 +1,58 @@
+// 文件路径: test/merge.test.js
+/**
+ * 多源合并 (merge.js) 测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEpgIndex } from '../src/js/parser.js';
+import { planMerge, mergeXml } from '../src/js/merge.js';
+
+const TIME_ZONE = 'Asia/Shanghai';
+const keyOf = name => name.replace(/高清$/, '');
+
+function channel(id, name) {
+  return `<channel id="${id}"><display-name>${name}</display-name></channel>`;
+}
+
+function programme(ch, start, stop, title) {
+  return `<programme channel="${ch}" start="${start} +0800" stop="${stop} +0800"><title>${title}</title></programme>`;
+}
+
+async function runMerge(xmls) {
+  const indexes = xmls.map(xml => buildEpgIndex(xml, TIME_ZONE));
+  const plan = planMerge(indexes, keyOf);
+  const openers = xmls.map(xml => async () => new ReadableStream({
+    start(controller) {
+      controller.enqueue(xml);
+      controller.close();
+    }
+  }));
+  let output = '';
+  for await (const part of mergeXml(indexes, plan, openers, TIME_ZONE)) output += part;
+  return { plan, output };
+}
+
+test('同一源内归一化名称相同的频道不合并，节目不会在同一时段重复', async () => {
+  const main = `<tv>${channel('a', 'CCTV1')}${channel('b', 'CCTV1高清')}` +
+    `${programme('a', '20261019080000', '20261019090000', 'A1')}` +
+    `${programme('b', '20261019080000', '20261019090000', 'B1')}</tv>`;
+  const { plan, output } = await runMerge([main]);
+
+  assert.equal(plan.mappings[0].get('b'), 'b');
+  assert.match(output, /<programme channel="a"[^>]*><title>A1<\/title>/);
+  assert.match(output, /<programme channel="b"[^>]*><title>B1<\/title>/);
+});
+
+test('不同源的同名频道合并，低优先级源中重叠的节目被丢弃', async () => {
+  const main = `<tv>${channel('a', 'CCTV1')}${programme('a', '20261019080000', '20261019090000', 'A1')}</tv>`;
+  const backup = `<tv>${channel('x', 'CCTV1高清')}` +
+    `${programme('x', '20261019080000', '20261019090000', 'X1')}` +
+    `${programme('x', '20261019090000', '20261019100000', 'X2')}</tv>`;
+  const { plan, output } = await runMerge([main, backup]);
+
+  assert.equal(plan.mappings[1].get('x'), 'a');
+  assert.equal(plan.channels.length, 1);
+  assert.doesNotMatch(output, /X1/);
+  assert.match(output, /<programme channel="a"[^>]*><title>X2<\/title>/);
+});
@@ -0,0 +1,62 @@
+// 文件路径: test/metrics.test.js
+/**
+ * 运行指标 (metrics.js) 测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFetchMeter, renderMetrics } from '../src/js/metrics.js';
+import worker from '../src/js/index.js';
+
+function sample(name, labels) {
+  const line = renderMetrics().split('\n').find(text => text.startsWith(`${name}{${labels}}`));
+  return line ? Number(line.split(' ').pop()) : null;
+}
+
+function chunks(count, size) {
+  let sent = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (sent++ < count) controller.enqueue(new Uint8Array(size));
+      else controller.close();
+    }
+  });
+}
+
+test('读取完毕时记录下载字节数', async () => {
+  await new Response(chunks(3, 10).pipeThrough(createFetchMeter('done', Date.now()))).arrayBuffer();
+  assert.equal(sample('epg_upstream_fetch_bytes_total', 'source="done"'), 30);
+  assert.equal(sample('epg_upstream_fetch_duration_seconds_count', 'source="done"'), 1);
+});
+
+test('下载被取消时同样记录已读取的字节数', async () => {
+  const reader = chunks(100, 10).pipeThrough(createFetchMeter('cancelled', Date.now())).getReader();
+  await reader.read();
+  await reader.read();
+  await reader.cancel();
+  assert.equal(sample('epg_upstream_fetch_bytes_total', 'source="cancelled"'), 20);
+  assert.equal(sample('epg_upstream_fetch_duration_seconds_count', 'source="cancelled"'), 1);
+});
+
+test('上游出错时记录一次', async () => {
+  let sent = false;
+  const failing = new ReadableStream({
+    pull(controller) {
+      if (sent) return controller.error(new Error('reset'));
+      sent = true;
+      controller.enqueue(new Uint8Array(5));
+    }
+  });
+  await assert.rejects(new Response(failing.pipeThrough(createFetchMeter('failed', Date.now()))).arrayBuffer());
+  assert.equal(sample('epg_upstream_fetch_bytes_total', 'source="failed"'), 5);
+  assert.equal(sample('epg_upstream_fetch_duration_seconds_count', 'source="failed"'), 1);
+});
+
+test('未知的请求方法记为 OTHER', async () => {
+  const ctx = { waitUntil() {}, passThroughOnException() {} };
+  for (const method of ['PROPFIND', 'X-RANDOM-1', 'X-RANDOM-2']) {
+    await worker.fetch(new Request('http://epg.local/healthz', { method }), {}, ctx);
+  }
+  assert.equal(sample('epg_requests_total', 'route="/healthz",method="OTHER",status="503"'), 3);
+  assert.ok(!renderMetrics().includes('X-RANDOM'));
+});
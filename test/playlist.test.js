@@ -0,0 +1,39 @@
+// 文件路径: test/playlist.test.js
+/**
+ * M3U 播放列表解析 (playlist.js) 测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseM3u } from '../src/js/playlist.js';
+
+test('解析属性与标题', () => {
+  const entries = parseM3u([
+    '#EXTM3U x-tvg-url="http://epg.local/epg.xml"',
+    '#EXTINF:-1 tvg-id="cctv1" tvg-name="CCTV-1" group-title="央视,高清",CCTV-1 综合',
+    'http://live.local/cctv1.m3u8',
+    '#EXTINF:-1,湖南卫视',
+    'http://live.local/hunan.m3u8'
+  ].join('\r\n'));
+
+  assert.deepEqual(entries, [
+    { title: 'CCTV-1 综合', tvgId: 'cctv1', tvgName: 'CCTV-1' },
+    { title: '湖南卫视', tvgId: '', tvgName: '' }
+  ]);
+});
+
+test('标题中的引号与逗号不影响属性与标题的划分', () => {
+  const [first, second] = parseM3u([
+    '#EXTINF:-1 tvg-id="movie",电影 "午夜场", 重播',
+    '#EXTINF:-1 TVG-NAME="纪实" tvg-id="doc",纪实 "人文"'
+  ].join('\n'));
+
+  assert.deepEqual(first, { title: '电影 "午夜场", 重播', tvgId: 'movie', tvgName: '' });
+  assert.deepEqual(second, { title: '纪实 "人文"', tvgId: 'doc', tvgName: '纪实' });
+});
+
+test('没有标题与属性的条目被忽略', () => {
+  assert.deepEqual(parseM3u('#EXTINF:-1,\nhttp://live.local/x\n#EXTINF:-1 tvg-id="a"'), [
+    { title: '', tvgId: 'a', tvgName: '' }
+  ]);
+});
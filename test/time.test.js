@@ -0,0 +1,46 @@
+// 文件路径: test/time.test.js
+/**
+ * XMLTV 时间与时区 (utils.js) 测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseXmltvTime, getZonedDayRange, formatZonedDate, formatTime } from '../src/js/utils.js';
+
+test('按时间中携带的偏移解析', () => {
+  assert.equal(parseXmltvTime('20261019060000 +0800', 'UTC'), Date.UTC(2026, 9, 18, 22));
+  assert.equal(parseXmltvTime('20261019060000 -0530', 'UTC'), Date.UTC(2026, 9, 19, 11, 30));
+  assert.equal(parseXmltvTime('20261019060000 +0000', 'Asia/Shanghai'), Date.UTC(2026, 9, 19, 6));
+  // 偏移前没有空格、省略秒
+  assert.equal(parseXmltvTime('202610190600+0100', 'UTC'), Date.UTC(2026, 9, 19, 5));
+});
+
+test('未携带偏移时按数据源时区解析', () => {
+  assert.equal(parseXmltvTime('20261019060000', 'Asia/Shanghai'), Date.UTC(2026, 9, 18, 22));
+  assert.equal(parseXmltvTime('20261019060000', 'UTC'), Date.UTC(2026, 9, 19, 6));
+  // 夏令时：纽约 7 月为 UTC-4，1 月为 UTC-5
+  assert.equal(parseXmltvTime('20260701120000', 'America/New_York'), Date.UTC(2026, 6, 1, 16));
+  assert.equal(parseXmltvTime('20260101120000', 'America/New_York'), Date.UTC(2026, 0, 1, 17));
+});
+
+test('格式非法时返回 null', () => {
+  for (const raw of ['', null, 'abc', '2026-10-19 06:00']) {
+    assert.equal(parseXmltvTime(raw, 'UTC'), null);
+  }
+});
+
+test('按输出时区划分日期与格式化时间', () => {
+  assert.deepEqual(getZonedDayRange('2026-10-19', 'Asia/Shanghai'), {
+    start: Date.UTC(2026, 9, 18, 16),
+    end: Date.UTC(2026, 9, 19, 16)
+  });
+  // 夏令时结束当天有 25 小时
+  const range = getZonedDayRange('20261101', 'America/New_York');
+  assert.equal(range.end - range.start, 25 * 3600 * 1000);
+  assert.equal(getZonedDayRange('2026/10/19', 'UTC'), null);
+
+  const ts = Date.UTC(2026, 9, 18, 17, 5);
+  assert.equal(formatZonedDate(ts, 'Asia/Shanghai'), '2026-10-19');
+  assert.equal(formatZonedDate(ts, 'UTC'), '2026-10-18');
+  assert.equal(formatTime(ts, 'Asia/Shanghai'), '01:05');
+});